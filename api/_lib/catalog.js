@@ -0,0 +1,54 @@
+// Known item codes, read from the same JSON files the tracker loads.
+// Edge functions can't read the repo from disk, so the files are fetched
+// from the deployment's static assets and kept for the life of the isolate.
+
+const CATALOG_FILES = [
+    'decorations.json',
+    'obstacles.json',
+    'bb-decorations.json',
+    'bb-obstacles.json',
+    'heros.json',
+    'sceneries.json',
+    'clan-capital.json',
+];
+
+let catalogPromise = null;
+
+function collectCodes(data, codes) {
+    if (Array.isArray(data)) {
+        data.forEach(entry => collectCodes(entry, codes));
+    } else if (data && typeof data === 'object') {
+        const code = data.Code || data.code;
+        if (code) codes.add(String(code));
+        Object.values(data).forEach(value => {
+            if (value && typeof value === 'object') collectCodes(value, codes);
+        });
+    }
+}
+
+async function fetchCatalogCodes(origin) {
+    const files = await Promise.all(CATALOG_FILES.map(async file => {
+        const response = await fetch(new URL(`/src/data-json/${file}`, origin));
+        if (!response.ok) throw new Error(`Could not load ${file} (HTTP ${response.status})`);
+        return response.json();
+    }));
+    const codes = new Set();
+    files.forEach(data => collectCodes(data, codes));
+    return codes;
+}
+
+/**
+ * Every item code in the catalog
+ * @param {string} origin - Deployment origin, e.g. new URL(request.url).origin
+ * @returns {Promise<Set<string>>}
+ */
+export function getCatalogCodes(origin) {
+    if (!catalogPromise) {
+        catalogPromise = fetchCatalogCodes(origin).catch(err => {
+            // Retry on the next request instead of caching the failure
+            catalogPromise = null;
+            throw err;
+        });
+    }
+    return catalogPromise;
+}
@@ -0,0 +1,26 @@
+import { db } from '@vercel/postgres';
+
+// The pooled `sql` helper sends every query on its own connection, so
+// statements that must succeed or fail together go through a client
+// checked out for the whole transaction.
+
+/**
+ * Run queries in a single transaction, rolled back if the callback throws
+ * @param {function(Function): Promise<*>} callback - Receives a `sql` tagged template bound to the transaction
+ * @returns {Promise<*>} Whatever the callback returns
+ */
+export async function withTransaction(callback) {
+    const client = await db.connect();
+    const query = client.sql.bind(client);
+    try {
+        await query`BEGIN`;
+        const result = await callback(query);
+        await query`COMMIT`;
+        return result;
+    } catch (err) {
+        await query`ROLLBACK`.catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+}
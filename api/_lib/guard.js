@@ -0,0 +1,132 @@
+import { sql } from '@vercel/postgres';
+
+// Request checks for endpoints that feed the community statistics.
+
+export const MAX_BODY_BYTES = 64 * 1024;
+
+// Player tags without '#', or the tracker's generated client_<random>_<time> ids
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_]{3,64}$/;
+
+// Collections owning more than this share of the catalog are rejected;
+// nobody has every past event obstacle, Gold Pass skin and shop item
+export const MAX_OWNED_SHARE = 0.9;
+
+// Codes the catalog doesn't know yet (new game updates) are dropped, but a
+// payload made mostly of unknown numbers is not a real export
+export const MAX_UNKNOWN_CODES = 50;
+
+export const RATE_LIMITS = {
+    ip: { limit: 30, windowSeconds: 60 * 60 },
+    client: { limit: 10, windowSeconds: 60 * 60 },
+    share: { limit: 10, windowSeconds: 60 * 60 },
+};
+
+export class RequestError extends Error {
+    constructor(message, status = 400, headers = {}) {
+        super(message);
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+export function getClientIp(request) {
+    const forwarded = request.headers.get('x-forwarded-for');
+    if (forwarded) return forwarded.split(',')[0].trim();
+    return request.headers.get('x-real-ip') || 'unknown';
+}
+
+/**
+ * Parse a JSON body, refusing oversized payloads
+ * @param {Request} request
+ * @returns {Promise<Object>}
+ */
+export async function readJsonBody(request) {
+    const declaredLength = parseInt(request.headers.get('content-length'));
+    if (declaredLength > MAX_BODY_BYTES) throw new RequestError('Payload too large', 413);
+    // Content-Length can be missing or wrong, so the body itself is measured
+    // too, in UTF-8 bytes rather than string length
+    const text = await request.text();
+    if (new TextEncoder().encode(text).length > MAX_BODY_BYTES) throw new RequestError('Payload too large', 413);
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new RequestError('Invalid JSON');
+    }
+}
+
+export function validateClientId(clientId) {
+    if (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId)) {
+        throw new RequestError('Invalid clientId');
+    }
+    return clientId;
+}
+
+/**
+ * Check a list of owned codes against the catalog
+ * @param {Array} ownedCodes - Codes from the request body
+ * @param {Set<string>} catalogCodes - From getCatalogCodes
+ * @returns {{ codes: Array<string>, unknownCount: number }} Unique known codes
+ */
+export function validateOwnedCodes(ownedCodes, catalogCodes) {
+    if (!Array.isArray(ownedCodes) || ownedCodes.length > catalogCodes.size + MAX_UNKNOWN_CODES) {
+        throw new RequestError('Invalid ownedCodes');
+    }
+
+    const unique = [...new Set(ownedCodes.map(String))];
+    if (unique.some(code => !/^\d{1,10}$/.test(code))) {
+        throw new RequestError('Invalid ownedCodes');
+    }
+    const codes = unique.filter(code => catalogCodes.has(code));
+    const unknownCount = unique.length - codes.length;
+    if (unknownCount > MAX_UNKNOWN_CODES) {
+        throw new RequestError('Too many unknown item codes', 422);
+    }
+    if (codes.length > catalogCodes.size * MAX_OWNED_SHARE) {
+        throw new RequestError('Collection rejected as implausible', 422);
+    }
+    return { codes, unknownCount };
+}
+
+/**
+ * Validate an analyze payload against the catalog
+ * @param {Object} body - { clientId, ownedCodes }
+ * @param {Set<string>} catalogCodes - From getCatalogCodes
+ * @returns {{ clientId: string, codes: Array<string>, unknownCount: number }}
+ */
+export function validateCollection(body, catalogCodes) {
+    const { clientId, ownedCodes } = body || {};
+    validateClientId(clientId);
+    return { clientId, ...validateOwnedCodes(ownedCodes, catalogCodes) };
+}
+
+/**
+ * Fixed-window counter in the rate_limits table
+ * @param {string} key - e.g. 'analyze:ip:1.2.3.4'
+ * @param {{ limit: number, windowSeconds: number }} rule
+ * @returns {Promise<void>} Throws a 429 RequestError once the limit is exceeded
+ */
+export async function enforceRateLimit(key, { limit, windowSeconds }) {
+    const result = await sql`
+        INSERT INTO rate_limits (key, window_start, hits)
+        VALUES (${key}, NOW(), 1)
+        ON CONFLICT (key)
+        DO UPDATE SET
+            hits = CASE WHEN rate_limits.window_start < NOW() - make_interval(secs => ${windowSeconds})
+                THEN 1 ELSE rate_limits.hits + 1 END,
+            window_start = CASE WHEN rate_limits.window_start < NOW() - make_interval(secs => ${windowSeconds})
+                THEN NOW() ELSE rate_limits.window_start END
+        RETURNING hits
+    `;
+    if (parseInt(result.rows[0]?.hits) > limit) {
+        throw new RequestError('Too many requests, try again later', 429, { 'Retry-After': String(windowSeconds) });
+    }
+}
+
+// Windows of clients that stopped sending requests are never reset, so
+// expired rows are cleared out from time to time
+export async function pruneRateLimits(maxWindowSeconds) {
+    await sql`
+        DELETE FROM rate_limits
+        WHERE window_start < NOW() - make_interval(secs => ${maxWindowSeconds})
+    `;
+}
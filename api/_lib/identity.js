@@ -0,0 +1,63 @@
+// Client ids are player tags (or random ids for exports without a tag).
+// Only a salted SHA-256 of them is stored, so the database can't be read
+// back into player tags without the CLIENT_ID_SALT environment variable.
+// setup-db.js applies the same formula in SQL to migrate older rows, so
+// the two must stay in sync.
+//
+// Player tags are public, so they can't authorize anything on their own.
+// The first upload of a client is answered with a random secret that only
+// that browser keeps; the server stores its hash and asks for the secret
+// back before deleting the client's data.
+
+import { RequestError } from './guard.js';
+
+export const HASHED_ID_PATTERN = /^[0-9a-f]{64}$/;
+
+const CLIENT_SECRET_PATTERN = /^[0-9a-f]{64}$/;
+
+function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The salt, or a 503 naming the missing variable. Routes that store or look
+ * up client ids call this before doing any work, so a deployment without it
+ * fails with a clear message instead of a 500 deep inside an upload.
+ * @returns {string}
+ */
+export function getClientIdSalt() {
+    const salt = process.env.CLIENT_ID_SALT;
+    if (!salt) throw new RequestError('Server misconfigured: CLIENT_ID_SALT is not set', 503);
+    return salt;
+}
+
+/**
+ * Stored form of a client id: hex SHA-256 of "<salt>:<clientId>"
+ * @param {string} clientId - Raw id sent by the tracker
+ * @returns {Promise<string>} 64 character hex digest
+ */
+export async function hashClientId(clientId) {
+    const data = new TextEncoder().encode(`${getClientIdSalt()}:${clientId}`);
+    return toHex(await crypto.subtle.digest('SHA-256', data));
+}
+
+/**
+ * New random client secret
+ * @returns {string} 64 character hex string
+ */
+export function generateClientSecret() {
+    return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Stored form of a client secret (users.secret_hash). The secret is random,
+ * so a plain SHA-256 is enough.
+ * @param {string} secret - From generateClientSecret
+ * @returns {Promise<string>} 64 character hex digest
+ */
+export async function hashClientSecret(secret) {
+    if (typeof secret !== 'string' || !CLIENT_SECRET_PATTERN.test(secret)) {
+        throw new RequestError('Invalid clientSecret');
+    }
+    return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret)));
+}
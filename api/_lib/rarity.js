@@ -0,0 +1,336 @@
+import { sql } from '@vercel/postgres';
+import { withTransaction } from './db.js';
+
+// Community rarity bookkeeping shared by the API routes.
+//
+// item_counts keeps how many collectors own each item and is updated from
+// the difference between a user's previous and new owned_items, so an
+// upload touches only the codes that changed. rarity_snapshot (a single
+// row) holds the live collector count plus the last computed rarity map,
+// which is rebuilt from item_counts at most once per SNAPSHOT_TTL_MS.
+// Users with flagged = true are stored but left out of both.
+
+const SNAPSHOT_TTL_MS = 60 * 1000;
+
+// Rarity tiers from rarest to most common, also sent to the tracker so its
+// labels and filters follow this list. An item belongs to the first tier
+// whose maxPercentage it is below; the last tier has no upper bound.
+// weight is what each owned item of the tier adds to the vault rarity score.
+export const RARITY_TIERS = [
+    { id: 'legendary', label: 'Legendary', maxPercentage: 1, weight: 25 },
+    { id: 'ultra-rare', label: 'Ultra Rare', maxPercentage: 5, weight: 10 },
+    { id: 'very-rare', label: 'Very Rare', maxPercentage: 15, weight: 5 },
+    { id: 'rare', label: 'Rare', maxPercentage: 30, weight: 2 },
+    { id: 'common', label: 'Common', maxPercentage: null, weight: 1 },
+];
+
+export function getRarityTier(percentage) {
+    return RARITY_TIERS.find(tier => tier.maxPercentage === null || percentage < tier.maxPercentage);
+}
+
+export function getRarityLabel(percentage) {
+    return getRarityTier(percentage).label;
+}
+
+/**
+ * Store a user's owned codes and vault score and apply the change to
+ * item_counts and the score histogram
+ * @param {string} clientId - users.client_id
+ * @param {Array<string>} codes - Unique owned codes
+ * @param {Object} options
+ * @param {string} options.secretHash - Stored as users.secret_hash if this upload creates the user
+ * @param {{ score: number, scoredItems: number }} options.vaultScore - From computeVaultScore
+ * @returns {Promise<{ added: number, removed: number, isNewUser: boolean, flagged: boolean, secretIssued: boolean,
+ *   vaultScore: { score: number, percentile: number|null, minItems: number } }>}
+ */
+export async function saveOwnedItems(clientId, codes, { secretHash, vaultScore }) {
+    const jsonPayload = JSON.stringify(codes);
+
+    // One transaction, so a failed counter update can't leave owned_items
+    // ahead of item_counts. The row is created first (waiting for any
+    // concurrent first upload of the same client) and then read under a
+    // lock, so two uploads can't both diff against the same previous list.
+    return withTransaction(async (query) => {
+        const inserted = await query`
+            INSERT INTO users (client_id, owned_items, last_updated)
+            VALUES (${clientId}, '[]'::jsonb, NOW())
+            ON CONFLICT (client_id) DO NOTHING
+            RETURNING client_id
+        `;
+        const isNewUser = inserted.rows.length > 0;
+
+        const result = await query`
+            SELECT owned_items, flagged, secret_hash, rarity_score FROM users WHERE client_id = ${clientId} FOR UPDATE
+        `;
+        const flagged = result.rows[0]?.flagged === true;
+        // Only the upload that creates the row gets a secret. Handing one to an
+        // upload that overwrites an existing row would let anyone who knows a
+        // player tag claim it; owners of such rows recover through an admin
+        // delete (see api/delete-data.js).
+        const secretIssued = isNewUser;
+        const score = vaultScore.scoredItems >= MIN_RANKED_ITEMS ? vaultScore.score : null;
+        await query`
+            UPDATE users
+            SET owned_items = ${jsonPayload}::jsonb, last_updated = NOW(),
+                secret_hash = CASE WHEN ${isNewUser}::boolean THEN ${secretHash} ELSE secret_hash END,
+                rarity_score = ${score}
+            WHERE client_id = ${clientId}
+        `;
+        const unranked = { score: vaultScore.score, percentile: null, minItems: MIN_RANKED_ITEMS };
+        if (flagged) return { added: 0, removed: 0, isNewUser, flagged, secretIssued, vaultScore: unranked };
+
+        const previous = new Set((result.rows[0]?.owned_items || []).map(String));
+        const next = new Set(codes);
+        const added = codes.filter(code => !previous.has(code));
+        const removed = [...previous].filter(code => !next.has(code));
+
+        await applyItemCountChanges(query, added, removed);
+        if (isNewUser) {
+            await query`UPDATE rarity_snapshot SET total_users = total_users + 1 WHERE id = 1`;
+        }
+        await moveVaultScore(query, result.rows[0]?.rarity_score ?? null, score);
+
+        return {
+            added: added.length,
+            removed: removed.length,
+            isNewUser,
+            flagged,
+            secretIssued,
+            vaultScore: score === null ? unranked : { ...unranked, percentile: await rankVaultScore(query, score) },
+        };
+    });
+}
+
+// Every change goes through one statement ordered by item_code, so concurrent
+// uploads lock the item_counts rows they share in the same order and can't
+// deadlock. A decrement for a row that doesn't exist (drift) is skipped
+// rather than stored as a negative count.
+async function applyItemCountChanges(query, added, removed) {
+    const changes = [
+        ...added.map(code => ({ code, delta: 1 })),
+        ...removed.map(code => ({ code, delta: -1 })),
+    ];
+    if (changes.length === 0) return;
+    await query`
+        INSERT INTO item_counts (item_code, owned_count)
+        SELECT change.code, change.delta
+        FROM jsonb_to_recordset(${JSON.stringify(changes)}::jsonb) AS change(code text, delta integer)
+        WHERE change.delta > 0 OR EXISTS (SELECT 1 FROM item_counts WHERE item_code = change.code)
+        ORDER BY change.code
+        ON CONFLICT (item_code)
+        DO UPDATE SET owned_count = GREATEST(item_counts.owned_count + EXCLUDED.owned_count, 0)
+    `;
+}
+
+/**
+ * Remove a user and its shared snapshots and take its items back out of the counts
+ * @param {string} clientId - users.client_id
+ * @param {string|null} secretHash - Hash of the secret the client was given on its first
+ *   upload, or null for an admin delete that skips the check
+ * @returns {Promise<string>} 'deleted', 'not-found', 'no-secret' (uploaded before secrets
+ *   existed) or 'wrong-secret'
+ */
+export async function deleteUserData(clientId, secretHash) {
+    return withTransaction(async (query) => {
+        const result = await query`
+            SELECT owned_items, flagged, secret_hash, rarity_score FROM users WHERE client_id = ${clientId} FOR UPDATE
+        `;
+        const row = result.rows[0];
+        if (!row) return 'not-found';
+        if (secretHash !== null) {
+            if (!row.secret_hash) return 'no-secret';
+            if (row.secret_hash !== secretHash) return 'wrong-secret';
+        }
+
+        await query`DELETE FROM users WHERE client_id = ${clientId}`;
+        await query`DELETE FROM shared_collections WHERE owner_id = ${clientId}`;
+        // Flagged users were never counted
+        if (!row.flagged) {
+            await applyItemCountChanges(query, [], (row.owned_items || []).map(String));
+            await query`UPDATE rarity_snapshot SET total_users = GREATEST(total_users - 1, 0) WHERE id = 1`;
+            await moveVaultScore(query, row.rarity_score, null);
+        }
+        return 'deleted';
+    });
+}
+
+/**
+ * Flag or unflag a client and move its items in or out of the counts
+ * @param {string} clientId - users.client_id
+ * @param {boolean} flagged
+ * @returns {Promise<boolean>} false if the client doesn't exist
+ */
+export async function setClientFlagged(clientId, flagged) {
+    return withTransaction(async (query) => {
+        const result = await query`
+            SELECT owned_items, flagged, rarity_score FROM users WHERE client_id = ${clientId} FOR UPDATE
+        `;
+        const row = result.rows[0];
+        if (!row) return false;
+        if (row.flagged === flagged) return true;
+
+        await query`UPDATE users SET flagged = ${flagged} WHERE client_id = ${clientId}`;
+        const codes = (row.owned_items || []).map(String);
+        if (flagged) {
+            await applyItemCountChanges(query, [], codes);
+            await query`UPDATE rarity_snapshot SET total_users = GREATEST(total_users - 1, 0) WHERE id = 1`;
+            await moveVaultScore(query, row.rarity_score, null);
+        } else {
+            await applyItemCountChanges(query, codes, []);
+            await query`UPDATE rarity_snapshot SET total_users = total_users + 1 WHERE id = 1`;
+            await moveVaultScore(query, null, row.rarity_score);
+        }
+        return true;
+    });
+}
+
+/**
+ * Cached rarity map, rebuilt from item_counts when older than SNAPSHOT_TTL_MS
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Rebuild even if the snapshot is fresh
+ * @returns {Promise<{ totalUsers: number, rarityData: Object, refreshedAt: string }>}
+ */
+export async function getRaritySnapshot({ force = false } = {}) {
+    const snapshotResult = await sql`
+        SELECT total_users, snapshot_users, rarity_data, refreshed_at
+        FROM rarity_snapshot
+        WHERE id = 1
+    `;
+    const snapshot = snapshotResult.rows[0];
+    const isFresh = snapshot && snapshot.refreshed_at &&
+        Date.now() - new Date(snapshot.refreshed_at).getTime() < SNAPSHOT_TTL_MS;
+
+    if (snapshot && isFresh && !force) {
+        return {
+            totalUsers: parseInt(snapshot.snapshot_users) || 1,
+            rarityData: snapshot.rarity_data || {},
+            refreshedAt: snapshot.refreshed_at,
+        };
+    }
+
+    const totalUsers = parseInt(snapshot?.total_users) || 1;
+    const countsResult = await sql`
+        SELECT item_code, owned_count FROM item_counts WHERE owned_count > 0
+    `;
+
+    const rarityData = {};
+    countsResult.rows.forEach(row => {
+        const count = parseInt(row.owned_count);
+        const percentage = (count / totalUsers) * 100;
+        rarityData[row.item_code] = {
+            percentage: parseFloat(percentage.toFixed(2)),
+            count,
+            label: getRarityLabel(percentage),
+        };
+    });
+
+    const refreshed = await sql`
+        UPDATE rarity_snapshot
+        SET snapshot_users = ${totalUsers}, rarity_data = ${JSON.stringify(rarityData)}::jsonb, refreshed_at = NOW()
+        WHERE id = 1
+        RETURNING refreshed_at
+    `;
+
+    return { totalUsers, rarityData, refreshedAt: refreshed.rows[0]?.refreshed_at || null };
+}
+
+/**
+ * Recount item_counts, the collector total and the vault score histogram
+ * from the users table. Full scan, only meant for setup and repairing drift.
+ * Run it through withTransaction with users, item_counts, rarity_snapshot
+ * and vault_score_buckets locked, or uploads counted while it runs are lost.
+ * @param {Function} query - `sql` tagged template of the transaction
+ */
+export async function rebuildItemCounts(query) {
+    await query`DELETE FROM item_counts`;
+    await query`
+        INSERT INTO item_counts (item_code, owned_count)
+        SELECT item_code, COUNT(*)
+        FROM users, jsonb_array_elements_text(owned_items) AS item_code
+        WHERE NOT flagged
+        GROUP BY item_code
+    `;
+    await query`
+        INSERT INTO rarity_snapshot (id, total_users, refreshed_at)
+        VALUES (1, (SELECT COUNT(*) FROM users WHERE NOT flagged), NULL)
+        ON CONFLICT (id)
+        DO UPDATE SET total_users = EXCLUDED.total_users, refreshed_at = NULL
+    `;
+    await query`DELETE FROM vault_score_buckets`;
+    await query`
+        INSERT INTO vault_score_buckets (bucket, collectors)
+        SELECT FLOOR(rarity_score / ${VAULT_SCORE_BUCKET_SIZE})::integer AS bucket, COUNT(*)
+        FROM users
+        WHERE NOT flagged AND rarity_score IS NOT NULL
+        GROUP BY bucket
+    `;
+}
+
+// Collections with fewer items in the rarity table than this get a score
+// but aren't ranked, so a handful of rare items can't top the percentile
+export const MIN_RANKED_ITEMS = 25;
+
+/**
+ * Vault rarity score: the tier weights of every owned item added up.
+ * Items missing from the rarity table (not reported by anyone yet, or
+ * unknown codes) add nothing.
+ * @param {Array<string>} codes - Owned codes
+ * @param {Object} rarityData - Snapshot from getRaritySnapshot
+ * @returns {{ score: number, scoredItems: number }} scoredItems = owned codes found in rarityData
+ */
+export function computeVaultScore(codes, rarityData) {
+    const weightByLabel = Object.fromEntries(RARITY_TIERS.map(tier => [tier.label, tier.weight]));
+    const scored = codes.filter(code => rarityData[code]);
+    const score = scored.reduce((sum, code) => sum + (weightByLabel[rarityData[code].label] || 0), 0);
+    return { score, scoredItems: scored.length };
+}
+
+// Ranked scores are counted per bucket of this many points, so ranking an
+// upload reads the histogram instead of every user's score
+const VAULT_SCORE_BUCKET_SIZE = 10;
+
+function getScoreBucket(score) {
+    return Math.floor(score / VAULT_SCORE_BUCKET_SIZE);
+}
+
+// Move a collector's ranked score in the histogram; null = not ranked.
+// One statement ordered by bucket, like applyItemCountChanges.
+async function moveVaultScore(query, previousScore, score) {
+    const changes = [];
+    if (previousScore !== null) changes.push({ bucket: getScoreBucket(previousScore), delta: -1 });
+    if (score !== null) changes.push({ bucket: getScoreBucket(score), delta: 1 });
+    if (changes.length === 2 && changes[0].bucket === changes[1].bucket) return;
+    if (changes.length === 0) return;
+    await query`
+        INSERT INTO vault_score_buckets (bucket, collectors)
+        SELECT change.bucket, change.delta
+        FROM jsonb_to_recordset(${JSON.stringify(changes)}::jsonb) AS change(bucket integer, delta integer)
+        WHERE change.delta > 0 OR EXISTS (SELECT 1 FROM vault_score_buckets WHERE bucket = change.bucket)
+        ORDER BY change.bucket
+        ON CONFLICT (bucket)
+        DO UPDATE SET collectors = GREATEST(vault_score_buckets.collectors + EXCLUDED.collectors, 0)
+    `;
+}
+
+/**
+ * Share of the other ranked collectors with a lower score. Collectors in the
+ * same bucket count as half below, half above.
+ * @param {Function} query - `sql` tagged template of the transaction
+ * @param {number} score - A ranked score already counted in the histogram
+ * @returns {Promise<number>} 0-100
+ */
+async function rankVaultScore(query, score) {
+    const bucket = getScoreBucket(score);
+    const result = await query`
+        SELECT
+            COALESCE(SUM(collectors) FILTER (WHERE bucket < ${bucket}), 0) AS below,
+            COALESCE(SUM(collectors) FILTER (WHERE bucket = ${bucket}), 0) AS same,
+            COALESCE(SUM(collectors), 0) AS total
+        FROM vault_score_buckets
+    `;
+    const below = parseInt(result.rows[0]?.below) || 0;
+    const same = parseInt(result.rows[0]?.same) || 0;
+    const others = (parseInt(result.rows[0]?.total) || 0) - 1;
+    if (others <= 0) return 100;
+    return Math.min(100, Math.round(((below + Math.max(same - 1, 0) / 2) / others) * 100));
+}
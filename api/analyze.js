@@ -1,85 +1,71 @@
-import { sql } from '@vercel/postgres';
+import { saveOwnedItems, getRaritySnapshot, computeVaultScore, RARITY_TIERS } from './_lib/rarity.js';
+import { getCatalogCodes } from './_lib/catalog.js';
+import { getClientIdSalt, hashClientId, generateClientSecret, hashClientSecret } from './_lib/identity.js';
+import {
+    RATE_LIMITS,
+    RequestError,
+    getClientIp,
+    readJsonBody,
+    validateCollection,
+    enforceRateLimit,
+    pruneRateLimits,
+} from './_lib/guard.js';
 
 export const config = {
     runtime: 'edge',
 };
 
+const PRUNE_PROBABILITY = 0.01;
+
+function jsonResponse(body, status, extraHeaders = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    });
+}
+
 export default async function handler(request) {
     if (request.method !== 'POST') {
-        return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-            status: 405,
-            headers: { 'Content-Type': 'application/json' },
-        });
+        return jsonResponse({ error: 'Method not allowed' }, 405);
     }
 
     try {
-        const { clientId, ownedCodes } = await request.json();
-
-        if (!clientId || !Array.isArray(ownedCodes)) {
-            return new Response(JSON.stringify({ error: 'Invalid input' }), {
-                status: 400,
-                headers: { 'Content-Type': 'application/json' },
-            });
+        getClientIdSalt();
+        // Cheap checks first: the IP limit and body size don't need the catalog
+        await enforceRateLimit(`analyze:ip:${getClientIp(request)}`, RATE_LIMITS.ip);
+        const body = await readJsonBody(request);
+        const catalogCodes = await getCatalogCodes(new URL(request.url).origin);
+        const { clientId: rawClientId, codes } = validateCollection(body, catalogCodes);
+        const clientId = await hashClientId(rawClientId);
+        await enforceRateLimit(`analyze:client:${clientId}`, RATE_LIMITS.client);
+        if (Math.random() < PRUNE_PROBABILITY) {
+            await pruneRateLimits(Math.max(...Object.values(RATE_LIMITS).map(rule => rule.windowSeconds)));
         }
 
-        // 1. Update User Data (Single Row)
-        // Store the entire array of owned codes as a JSONB column
-        // This replaces the old "ownership" table logic
-        const uniqueCodes = [...new Set(ownedCodes)];
-        const jsonPayload = JSON.stringify(uniqueCodes);
-
-        await sql`
-            INSERT INTO users (client_id, owned_items, last_updated)
-            VALUES (${clientId}, ${jsonPayload}::jsonb, NOW())
-            ON CONFLICT (client_id) 
-            DO UPDATE SET 
-                owned_items = ${jsonPayload}::jsonb,
-                last_updated = NOW()
-        `;
-
-        // 2. Calculate Rarity Stats
-        // "Explode" the JSON arrays from all users to count global item ownership
-        const totalUsersResult = await sql`SELECT COUNT(*) AS count FROM users`;
-        const totalUsers = parseInt(totalUsersResult.rows[0].count) || 1;
-
-        const ownershipResult = await sql`
-            SELECT item_code, COUNT(*) as owned_count
-            FROM users, jsonb_array_elements_text(owned_items) as item_code
-            GROUP BY item_code
-        `;
-
-        const rarityData = {};
-        ownershipResult.rows.forEach(row => {
-            const percentage = (parseInt(row.owned_count) / totalUsers) * 100;
-            let label = 'Common';
-            if (percentage < 1) label = 'Legendary';
-            else if (percentage < 5) label = 'Ultra Rare';
-            else if (percentage < 15) label = 'Very Rare';
-            else if (percentage < 30) label = 'Rare';
-
-            rarityData[row.item_code] = {
-                percentage: parseFloat(percentage.toFixed(2)),
-                count: parseInt(row.owned_count),
-                label,
-            };
+        // Score the upload against the cached snapshot, then store the codes and
+        // score and update the per-item counts and score histogram from the diff,
+        // instead of recounting every user.
+        // A deletion secret is only handed out with the upload that creates the row
+        const { totalUsers, rarityData } = await getRaritySnapshot();
+        const clientSecret = generateClientSecret();
+        const { secretIssued, vaultScore } = await saveOwnedItems(clientId, codes, {
+            secretHash: await hashClientSecret(clientSecret),
+            vaultScore: computeVaultScore(codes, rarityData),
         });
 
-        return new Response(
-            JSON.stringify({
-                success: true,
-                totalUsers,
-                rarityData,
-            }),
-            {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-            }
-        );
+        return jsonResponse({
+            success: true,
+            totalUsers,
+            rarityData,
+            tiers: RARITY_TIERS,
+            vaultScore,
+            ...(secretIssued ? { clientSecret } : {}),
+        }, 200);
     } catch (err) {
+        if (err instanceof RequestError) {
+            return jsonResponse({ error: err.message }, err.status, err.headers);
+        }
         console.error('Analysis error:', err);
-        return new Response(JSON.stringify({ error: err.message }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json' },
-        });
+        return jsonResponse({ error: err.message }, 500);
     }
 }
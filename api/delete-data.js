@@ -0,0 +1,73 @@
+import { deleteUserData } from './_lib/rarity.js';
+import { HASHED_ID_PATTERN, getClientIdSalt, hashClientId, hashClientSecret } from './_lib/identity.js';
+import {
+    RATE_LIMITS,
+    RequestError,
+    getClientIp,
+    readJsonBody,
+    validateClientId,
+    enforceRateLimit,
+} from './_lib/guard.js';
+
+export const config = {
+    runtime: 'edge',
+};
+
+function jsonResponse(body, status, extraHeaders = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    });
+}
+
+// POST /api/delete-data { clientId, clientSecret } - remove everything stored for
+// a client, including its shared vault snapshots, and take its items out of the
+// community rarity counts. clientSecret is the one /api/analyze returned with
+// the upload that created the client's row.
+//
+// Recovery: rows from before secrets existed, rows first uploaded from another
+// device and rows someone else created under a player's tag have no secret the
+// owner can present. After confirming ownership out of band (e.g. a screenshot
+// of the in-game profile), an admin deletes them with
+// "Authorization: Bearer <ADMIN_TOKEN>" and { clientId } or { playerTag }; the
+// owner's next upload then creates a new row with a new secret.
+
+const DENIED_MESSAGES = {
+    'no-secret': 'This collection was uploaded before delete keys existed. Contact us to have it removed',
+    'wrong-secret': 'This collection was first uploaded from another browser. Delete it there, or contact us to have it removed',
+};
+
+export default async function handler(request) {
+    if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        getClientIdSalt();
+        const adminToken = process.env.ADMIN_TOKEN;
+        const isAdmin = Boolean(adminToken) && request.headers.get('authorization') === `Bearer ${adminToken}`;
+        if (!isAdmin) await enforceRateLimit(`delete:ip:${getClientIp(request)}`, RATE_LIMITS.ip);
+        const body = (await readJsonBody(request)) || {};
+
+        let clientId;
+        if (isAdmin && typeof body.playerTag === 'string' && body.playerTag) {
+            clientId = await hashClientId(body.playerTag.replace('#', ''));
+        } else if (isAdmin && typeof body.clientId === 'string' && HASHED_ID_PATTERN.test(body.clientId)) {
+            clientId = body.clientId;
+        } else {
+            clientId = await hashClientId(validateClientId(body.clientId));
+        }
+        const secretHash = isAdmin ? null : await hashClientSecret(body.clientSecret);
+        const status = await deleteUserData(clientId, secretHash);
+        if (DENIED_MESSAGES[status]) {
+            return jsonResponse({ error: DENIED_MESSAGES[status] }, 403);
+        }
+        return jsonResponse({ success: true, deleted: status === 'deleted' }, 200);
+    } catch (err) {
+        if (err instanceof RequestError) {
+            return jsonResponse({ error: err.message }, err.status, err.headers);
+        }
+        console.error('Delete data error:', err);
+        return jsonResponse({ error: err.message }, 500);
+    }
+}
@@ -0,0 +1,51 @@
+import { setClientFlagged } from './_lib/rarity.js';
+import { RequestError, readJsonBody } from './_lib/guard.js';
+import { hashClientId } from './_lib/identity.js';
+
+export const config = {
+    runtime: 'edge',
+};
+
+function jsonResponse(body, status) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+    });
+}
+
+// POST /api/flag-client { clientId | playerTag, flagged } - exclude (or restore) a client
+// from the community rarity counts. Requires "Authorization: Bearer <ADMIN_TOKEN>".
+// clientId is the stored (hashed) users.client_id; pass playerTag instead to
+// have it hashed here.
+export default async function handler(request) {
+    if (request.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken || request.headers.get('authorization') !== `Bearer ${adminToken}`) {
+        return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    try {
+        const { clientId: storedId, playerTag, flagged = true } = (await readJsonBody(request)) || {};
+        const clientId = typeof playerTag === 'string' && playerTag
+            ? await hashClientId(playerTag.replace('#', ''))
+            : storedId;
+        if (typeof clientId !== 'string' || !clientId || typeof flagged !== 'boolean') {
+            return jsonResponse({ error: 'Invalid input' }, 400);
+        }
+
+        const found = await setClientFlagged(clientId, flagged);
+        if (!found) {
+            return jsonResponse({ error: 'Client not found' }, 404);
+        }
+        return jsonResponse({ success: true, clientId, flagged }, 200);
+    } catch (err) {
+        if (err instanceof RequestError) {
+            return jsonResponse({ error: err.message }, err.status);
+        }
+        console.error('Flag client error:', err);
+        return jsonResponse({ error: err.message }, 500);
+    }
+}
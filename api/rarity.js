@@ -0,0 +1,42 @@
+import { getRaritySnapshot, RARITY_TIERS } from './_lib/rarity.js';
+
+export const config = {
+    runtime: 'edge',
+};
+
+// GET /api/rarity - current community rarity table, no upload required
+export default async function handler(request) {
+    if (request.method !== 'GET') {
+        return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+            status: 405,
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+
+    try {
+        const { totalUsers, rarityData, refreshedAt } = await getRaritySnapshot();
+
+        return new Response(
+            JSON.stringify({
+                totalUsers,
+                rarityData,
+                tiers: RARITY_TIERS,
+                refreshedAt,
+            }),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                    // The snapshot itself is rebuilt at most once a minute
+                    'Cache-Control': 'public, max-age=60, s-maxage=60, stale-while-revalidate=600',
+                },
+            }
+        );
+    } catch (err) {
+        console.error('Rarity error:', err);
+        return new Response(JSON.stringify({ error: err.message }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+}
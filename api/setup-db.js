@@ -1,11 +1,30 @@
 import { sql } from '@vercel/postgres';
+import { rebuildItemCounts } from './_lib/rarity.js';
+import { getClientIdSalt } from './_lib/identity.js';
+import { withTransaction } from './_lib/db.js';
+import { RequestError } from './_lib/guard.js';
 
 export const config = {
   runtime: 'edge',
 };
 
+// Creates and migrates the tables. Requires "Authorization: Bearer <ADMIN_TOKEN>".
+// /api/setup-db?rebuild=1 also hashes leftover raw client ids and recounts
+// item_counts and the score histogram from the users table; run it once after
+// upgrading or to repair drift.
 export default async function handler(request) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || request.headers.get('authorization') !== `Bearer ${adminToken}`) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
   try {
+    // Uploads can't be stored without the salt, so refuse to set up without it
+    const salt = getClientIdSalt();
+
     // Create Users Table with JSONB for owned items
     await sql`
       CREATE TABLE IF NOT EXISTS users (
@@ -15,17 +34,125 @@ export default async function handler(request) {
       )
     `;
 
+    // Vault rarity score, NULL while unranked (Migration for existing tables).
+    // rarity_average was a short-lived per-item average that replaced it; ranking
+    // now reads vault_score_buckets, so the score index is no longer needed
+    await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS rarity_score REAL`;
+    await sql`DROP INDEX IF EXISTS users_rarity_score_idx`;
+    await sql`ALTER TABLE users DROP COLUMN IF EXISTS rarity_average`;
+
+    // Hash of the secret that lets a client delete its own data (Migration for existing tables)
+    await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS secret_hash VARCHAR(64)`;
+
+    // Flagged clients are kept but left out of the rarity counts (Migration for existing tables)
+    await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS flagged BOOLEAN NOT NULL DEFAULT false`;
+
+    // Read-only collection snapshots shared via /tracker/u/<id>
+    await sql`
+      CREATE TABLE IF NOT EXISTS shared_collections (
+        id VARCHAR(16) PRIMARY KEY,
+        display_name VARCHAR(40) DEFAULT '',
+        owned_items JSONB DEFAULT '[]'::jsonb,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Hashed client id of the sharer, so /api/delete-data can remove its snapshots (Migration for existing tables)
+    await sql`ALTER TABLE shared_collections ADD COLUMN IF NOT EXISTS owner_id VARCHAR(64)`;
+    await sql`CREATE INDEX IF NOT EXISTS shared_collections_owner_id_idx ON shared_collections (owner_id)`;
+
+    // Default profile names used to be the raw player tag (Migration for existing rows)
+    await sql`
+      UPDATE shared_collections SET display_name = ''
+      WHERE display_name ~* '#[0289PYLQGRJCUV]{3,}' OR display_name ~* '^[0289PYLQGRJCUV]{6,}$'
+    `;
+
+    // Per-item owner counts, kept up to date by /api/analyze
+    await sql`
+      CREATE TABLE IF NOT EXISTS item_counts (
+        item_code VARCHAR(16) PRIMARY KEY,
+        owned_count INTEGER NOT NULL DEFAULT 0
+      )
+    `;
+
+    // Single row: live collector count plus the cached rarity map
+    await sql`
+      CREATE TABLE IF NOT EXISTS rarity_snapshot (
+        id SMALLINT PRIMARY KEY DEFAULT 1,
+        total_users INTEGER NOT NULL DEFAULT 0,
+        snapshot_users INTEGER NOT NULL DEFAULT 0,
+        rarity_data JSONB DEFAULT '{}'::jsonb,
+        refreshed_at TIMESTAMP WITH TIME ZONE,
+        CONSTRAINT rarity_snapshot_single_row CHECK (id = 1)
+      )
+    `;
+    await sql`INSERT INTO rarity_snapshot (id) VALUES (1) ON CONFLICT (id) DO NOTHING`;
+
+    // Ranked vault scores per bucket of points, kept up to date by /api/analyze
+    await sql`
+      CREATE TABLE IF NOT EXISTS vault_score_buckets (
+        bucket INTEGER PRIMARY KEY,
+        collectors INTEGER NOT NULL DEFAULT 0
+      )
+    `;
+
+    // Fixed-window request counters for /api/analyze
+    await sql`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key VARCHAR(128) PRIMARY KEY,
+        window_start TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        hits INTEGER NOT NULL DEFAULT 0
+      )
+    `;
+
+    // Rate limit keys used to contain raw player tags
+    await sql`
+      DELETE FROM rate_limits
+      WHERE key LIKE 'analyze:client:%' AND key !~ '^analyze:client:[0-9a-f]{64}$'
+    `;
+
     // Drop old normalized table if it exists (Migration)
     await sql`DROP TABLE IF EXISTS ownership`;
 
-    return new Response(JSON.stringify({ message: 'Database tables created successfully' }), {
+    const rebuild = new URL(request.url).searchParams.get('rebuild') === '1';
+    if (rebuild) {
+      await withTransaction(async (query) => {
+        // Uploads wait until the recount is committed instead of being lost
+        await query`LOCK TABLE users, item_counts, rarity_snapshot, vault_score_buckets IN EXCLUSIVE MODE`;
+
+        // Replace raw player tags with their salted hash (Migration for existing rows).
+        // Same formula as hashClientId in _lib/identity.js. A raw row whose hash was
+        // already uploaded after the switch is older, so it is dropped instead.
+        await query`
+          DELETE FROM users AS raw
+          WHERE raw.client_id !~ '^[0-9a-f]{64}$'
+            AND EXISTS (
+              SELECT 1 FROM users AS hashed
+              WHERE hashed.client_id = encode(sha256(convert_to(${salt}::text || ':' || raw.client_id, 'UTF8')), 'hex')
+            )
+        `;
+        await query`
+          UPDATE users
+          SET client_id = encode(sha256(convert_to(${salt}::text || ':' || client_id, 'UTF8')), 'hex')
+          WHERE client_id !~ '^[0-9a-f]{64}$'
+        `;
+
+        // Backfill the counts from existing users (also repairs any drift)
+        await rebuildItemCounts(query);
+      });
+    }
+
+    const message = rebuild
+      ? 'Database tables created and item counts rebuilt'
+      : 'Database tables created successfully';
+    return new Response(JSON.stringify({ message }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' },
     });
   } catch (err) {
     console.error('Setup DB error:', err);
     return new Response(JSON.stringify({ error: err.message }), {
-      status: 500,
+      status: err instanceof RequestError ? err.status : 500,
       headers: { 'Content-Type': 'application/json' },
     });
   }
@@ -0,0 +1,107 @@
+import { sql } from '@vercel/postgres';
+import { getCatalogCodes } from './_lib/catalog.js';
+import { hashClientId } from './_lib/identity.js';
+import {
+    RATE_LIMITS,
+    RequestError,
+    getClientIp,
+    readJsonBody,
+    validateClientId,
+    validateOwnedCodes,
+    enforceRateLimit,
+} from './_lib/guard.js';
+
+export const config = {
+    runtime: 'edge',
+};
+
+const ID_LENGTH = 8;
+const ID_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Snapshots are public, so they expire instead of living forever
+const SHARE_TTL_DAYS = 90;
+
+// Player tags use these characters only. Display names are public, so
+// anything that looks like a tag is removed rather than stored.
+const PLAYER_TAG_PATTERN = /#[0289PYLQGRJCUV]{3,}/gi;
+const BARE_PLAYER_TAG_PATTERN = /^[0289PYLQGRJCUV]{6,}$/i;
+
+function jsonResponse(body, status, extraHeaders = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    });
+}
+
+// Short, unambiguous id (no 0/O/1/l) for /tracker/u/<id> links
+function generateShareId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(ID_LENGTH));
+    return Array.from(bytes, b => ID_ALPHABET[b % ID_ALPHABET.length]).join('');
+}
+
+function sanitizeDisplayName(name) {
+    if (typeof name !== 'string') return '';
+    const cleaned = name.replace(PLAYER_TAG_PATTERN, '').replace(/\s+/g, ' ').trim().slice(0, 40);
+    return BARE_PLAYER_TAG_PATTERN.test(cleaned) ? '' : cleaned;
+}
+
+export default async function handler(request) {
+    try {
+        // GET /api/share?id=<id> - read a shared snapshot
+        if (request.method === 'GET') {
+            const id = new URL(request.url).searchParams.get('id');
+            if (!id || !/^[A-Za-z0-9]{4,16}$/.test(id)) {
+                return jsonResponse({ error: 'Invalid share id' }, 400);
+            }
+
+            const result = await sql`
+                SELECT id, display_name, owned_items, created_at
+                FROM shared_collections
+                WHERE id = ${id} AND created_at > NOW() - make_interval(days => ${SHARE_TTL_DAYS})
+            `;
+            if (result.rows.length === 0) {
+                return jsonResponse({ error: 'Shared collection not found' }, 404);
+            }
+
+            const row = result.rows[0];
+            // Snapshots never change once created, but they can be deleted through
+            // /api/delete-data, so shared caches only keep them for an hour
+            return jsonResponse({
+                id: row.id,
+                name: row.display_name,
+                ownedCodes: row.owned_items,
+                createdAt: row.created_at,
+            }, 200, { 'Cache-Control': 'public, max-age=600, s-maxage=3600' });
+        }
+
+        // POST /api/share { ownedCodes, name, clientId } - store a read-only snapshot
+        // and return its id. clientId (optional) lets /api/delete-data remove it later.
+        if (request.method === 'POST') {
+            await enforceRateLimit(`share:ip:${getClientIp(request)}`, RATE_LIMITS.share);
+            const { ownedCodes, name, clientId } = (await readJsonBody(request)) || {};
+            const catalogCodes = await getCatalogCodes(new URL(request.url).origin);
+            const { codes: uniqueCodes } = validateOwnedCodes(ownedCodes, catalogCodes);
+            const ownerId = clientId === undefined ? null : await hashClientId(validateClientId(clientId));
+            const id = generateShareId();
+
+            await sql`
+                DELETE FROM shared_collections
+                WHERE created_at < NOW() - make_interval(days => ${SHARE_TTL_DAYS})
+            `;
+            await sql`
+                INSERT INTO shared_collections (id, display_name, owned_items, owner_id, created_at)
+                VALUES (${id}, ${sanitizeDisplayName(name)}, ${JSON.stringify(uniqueCodes)}::jsonb, ${ownerId}, NOW())
+            `;
+
+            return jsonResponse({ success: true, id, expiresInDays: SHARE_TTL_DAYS }, 200);
+        }
+
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    } catch (err) {
+        if (err instanceof RequestError) {
+            return jsonResponse({ error: err.message }, err.status, err.headers);
+        }
+        console.error('Share error:', err);
+        return jsonResponse({ error: err.message }, 500);
+    }
+}
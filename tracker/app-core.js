@@ -4,7 +4,8 @@
 // Used by all tracker sub-pages
 // 
 // DEPENDENCY: This module requires cache-manager.js to be loaded first
-// for localStorage caching with timestamp validation
+// for localStorage caching with timestamp validation, and export-parser.js
+// for validating pasted game exports
 // ============================================
 
 // ============================================
@@ -13,17 +14,39 @@
 const state = {
     allItems: {},
     items: [],
-    userOwnedCodes: new Set(),
+    userOwnedCodes: new Set(), // Codes from the raw export, never edited by hand
+    ownershipOverrides: {}, // code -> true (owned) | false (missing), manual edits on top of the export (per profile)
+    ownershipEditMode: false, // Card clicks toggle ownership instead of opening the detail view
     hasUserData: false,
+    activeProfile: null, // Profile id (player tag without '#') of the rendered collection
+    newSinceLastImport: new Set(), // Codes owned in the latest snapshot but not the one before
+    wishlist: {}, // code -> 'must-have' | 'nice-to-have' (per profile)
+    sharedWishlist: null, // Wishlist decoded from a shared link, restricts the grid while set
+    readOnly: false, // True when rendering someone else's shared vault (/tracker/u/<id>)
+    sharedCollection: null, // { id, name, createdAt } of the shared vault being viewed
     activeCategory: 'cosmetic-compendium', // Default, overridden by page-specific init
     searchQuery: '',
+    parsedQuery: { terms: [], filters: [], errors: [] }, // state.searchQuery run through QueryParser
+    queryMappedFields: [], // Filter groups currently set from the query (type, hero, owned, rarity, source)
     selectedHeroes: [],
     selectedOwnership: [],
     selectedTypes: [],
-    selectedRarity: [], // Community rarity filter: 'legendary', 'ultra-rare', 'very-rare', 'rare', 'common'
+    selectedRarity: [], // Community rarity filter: tier ids from getRarityTiers()
+    pendingRarity: [], // Rarity filter from the URL, applied once community data has loaded
+    selectedPrice: [], // Price filter: 'free', 'gems', 'real-money'
+    selectedSource: [], // Acquisition filter: ITEM_SOURCES keys
+    releaseFilter: { fromYear: null, toYear: null, season: '' },
+    groupBySeason: false, // Split the grid into season sections (date sorts only)
+    seasonReleaseKeys: {}, // season -> earliest known release key (yyyymm), for undated items of a dated season
     sortBy: 'newest',
     visibleLimit: 50,
+    sets: [], // Themed sets from sets.json, limited to codes in the catalog
+    heroes: [], // { id, name } in heros.json order
+    aliases: { heroes: {}, items: {} }, // Community nicknames from aliases.json, matched by search
+    viewMode: 'items', // 'items' (grid) or 'sets' (compendium only)
     communityRarity: {},
+    rarityTiers: [], // Tier config from the rarity API, rarest first: { id, label, maxPercentage, weight }
+    vaultScore: null, // { score, percentile, minItems } of the active profile, from /api/analyze
     hasCommunityData: false,
     totalCollectors: 0
 };
@@ -33,6 +56,15 @@ const state = {
 // ============================================
 let imageObserver = null;
 
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -105,6 +137,7 @@ function formatItem(item, type, category, heroName = null, heroId = null, detail
     return {
         code,
         name,
+        tid: item.TID || "",
         image: imagePath,
         rarity: details?.rarity || item.rarity || "unknown",
         category,
@@ -113,6 +146,11 @@ function formatItem(item, type, category, heroName = null, heroId = null, detail
         description: details?.description || item.description || "",
         released: details?.released || item.released || "Unknown",
         availability: details?.availability || item.availability || "",
+        season: details?.season || "",
+        source: details?.source || "",
+        obtainable: getObtainable(details),
+        priceGems: details?.gems ?? null,
+        priceUSD: details?.usd ?? null,
         slug: generateSlug(name, code),
         ...(heroName && { heroName }),
         ...(heroId && { heroId })
@@ -134,54 +172,192 @@ async function preloadImages(items, maxImages = 100) {
     return Promise.all(promises);
 }
 
+// ============================================
+// ITEM METADATA
+// ============================================
+const ITEM_SOURCES = {
+    'shop': 'Shop',
+    'gold-pass': 'Gold Pass',
+    'event': 'Event Reward',
+    'clash-a-rama': 'Clash-a-Rama',
+    'challenge': 'Challenge',
+    'legacy': 'Legacy'
+};
+
+// true/false when known, null when there is no source data for the item.
+// Past event and Gold Pass rewards carry "obtainable": false in item-details.json
+function getObtainable(details) {
+    if (typeof details?.obtainable === 'boolean') return details.obtainable;
+    if (!details?.source) return null;
+    return details.source !== 'legacy';
+}
+
+// The 'legacy' filter option matches every item that can no longer be obtained
+function matchesSourceFilter(item, source) {
+    return source === 'legacy' ? item.obtainable === false : item.source === source;
+}
+
+// Rough gem value of a dollar (the 500 gem pack), used to sort real-money and gem prices together
+const GEMS_PER_USD = 100;
+
+function getPriceType(item) {
+    if (item.priceUSD > 0) return 'real-money';
+    if (item.priceGems > 0) return 'gems';
+    if (item.priceGems === 0) return 'free';
+    return 'unknown';
+}
+
+function formatPrice(item) {
+    switch (getPriceType(item)) {
+        case 'real-money': return `$${item.priceUSD.toFixed(2)}`;
+        case 'gems': return `${item.priceGems.toLocaleString()} gems`;
+        case 'free': return 'Free';
+        default: return 'Unknown';
+    }
+}
+
+function getPriceSortValue(item) {
+    const type = getPriceType(item);
+    if (type === 'real-money') return item.priceUSD * GEMS_PER_USD;
+    if (type === 'unknown') return null;
+    return item.priceGems;
+}
+
+// "2019-04" -> 201904; a year alone ("2024", month unknown) -> 202400, before that year's months
+function parseReleaseKey(released) {
+    const match = /^(\d{4})(?:-(\d{2}))?$/.exec(released || '');
+    return match ? Number(match[1]) * 100 + Number(match[2] || 0) : null;
+}
+
+// Release key of the item, or of its season for undated items; null when unknown
+function getReleaseKey(item) {
+    return parseReleaseKey(item.released) || (item.season && state.seasonReleaseKeys[item.season]) || null;
+}
+
+function getReleaseYear(item) {
+    const key = getReleaseKey(item);
+    return key ? Math.floor(key / 100) : null;
+}
+
+function buildSeasonReleaseKeys(items) {
+    const keys = {};
+    items.forEach(item => {
+        const key = parseReleaseKey(item.released);
+        if (!item.season || !key) return;
+        if (!keys[item.season] || key < keys[item.season]) keys[item.season] = key;
+    });
+    return keys;
+}
+
+// Section heading used when the grid is grouped by season
+function getSeasonGroupLabel(item) {
+    if (item.season) return item.season;
+    const year = getReleaseYear(item);
+    return year ? String(year) : 'Release date unknown';
+}
+
+// Release key of the item's whole group: a season's earliest release, or the
+// start of the year for items without a season. Every item of a group shares it.
+function getSeasonGroupKey(item) {
+    if (item.season) return state.seasonReleaseKeys[item.season] || null;
+    const year = getReleaseYear(item);
+    return year ? year * 100 : null;
+}
+
+// Headers only make sense while the grid is in release order; search results
+// are re-sorted by relevance, which splits the groups up
+function isGroupedBySeason() {
+    return state.groupBySeason && ['newest', 'oldest'].includes(state.sortBy) && !normalizeSearchText(getQueryText());
+}
+
+// "2019-04" -> "Apr 2019"; anything else (e.g. a year alone) is shown as-is
+function formatReleaseDate(released) {
+    const match = /^(\d{4})-(\d{2})/.exec(released || '');
+    if (!match) return released || 'Unknown';
+    return new Date(Number(match[1]), Number(match[2]) - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+}
+
 // ============================================
 // DATA LOADING
 // ============================================
 async function loadAllMasterData() {
-    const [decorations, obstacles, heroesData, sceneries] = await Promise.all([
+    const [decorations, obstacles, heroesData, sceneries, clanCapital, bbDecorations, bbObstacles, itemDetails, setsData, aliases] = await Promise.all([
         loadJSON("decorations.json"),
         loadJSON("obstacles.json"),
         loadJSON("heros.json"),
-        loadJSON("sceneries.json")
+        loadJSON("sceneries.json"),
+        loadJSON("clan-capital.json"),
+        loadJSON("bb-decorations.json"),
+        loadJSON("bb-obstacles.json"),
+        loadJSON("item-details.json"),
+        loadJSON("sets.json"),
+        loadJSON("aliases.json")
     ]).then(results => [
         results[0],
         results[1],
         results[2],
-        results[3] || { sceneries: [] }
+        results[3] || { sceneries: [] },
+        results[4] || { house_parts: [] },
+        results[5],
+        results[6],
+        results[7] || {},
+        results[8] || { sets: [] },
+        results[9] || {}
     ]);
 
+    // Release date, season, source and price live in item-details.json, keyed by code
+    const detailsFor = item => itemDetails[String(item.Code || item.code)] || null;
+
 
 
     const formattedDecorations = decorations?.map(item => {
-        return formatItem(item, "decoration", "Decoration", null, null, null);
+        return formatItem(item, "decoration", "Decoration", null, null, detailsFor(item));
     }) || [];
     const formattedObstacles = obstacles?.map(item => {
-        return formatItem(item, "obstacle", "Obstacle", null, null, null);
+        return formatItem(item, "obstacle", "Obstacle", null, null, detailsFor(item));
+    }) || [];
+    const formattedBBDecorations = bbDecorations?.map(item => {
+        return formatItem(item, "bbdecoration", "Builder Base Decoration", null, null, detailsFor(item));
+    }) || [];
+    const formattedBBObstacles = bbObstacles?.map(item => {
+        return formatItem(item, "bbobstacle", "Builder Base Obstacle", null, null, detailsFor(item));
     }) || [];
     const formattedSceneries = sceneries?.sceneries?.map(item => {
-        return formatItem(item, "scenery", "Scenery", null, null, null);
+        return formatItem(item, "scenery", "Scenery", null, null, detailsFor(item));
+    }) || [];
+    const formattedClanCapital = clanCapital.house_parts?.map(item => {
+        return formatItem(item, "clan", "Clan House Part", null, null, detailsFor(item));
     }) || [];
-    const formattedClanCapital = [];
     const formattedHeroSkins = [];
+    state.heroes = [];
     if (heroesData?.heroes) {
         heroesData.heroes.forEach(hero => {
+            const heroId = hero.name.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
+            state.heroes.push({ id: heroId, name: hero.name });
             if (hero.skins && Array.isArray(hero.skins)) {
-                const heroId = hero.name.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
                 hero.skins.forEach(skin => {
-                    formattedHeroSkins.push(formatItem(skin, "heroskin", "Hero Skin", hero.name, heroId, null));
+                    formattedHeroSkins.push(formatItem(skin, "heroskin", "Hero Skin", hero.name, heroId, detailsFor(skin)));
                 });
             }
         });
     }
 
     state.allItems = {
-        'cosmetic-compendium': [...formattedDecorations, ...formattedObstacles, ...formattedHeroSkins, ...formattedSceneries, ...formattedClanCapital],
+        'cosmetic-compendium': [...formattedDecorations, ...formattedObstacles, ...formattedBBDecorations, ...formattedBBObstacles, ...formattedHeroSkins, ...formattedSceneries, ...formattedClanCapital],
         'hero-wardrobe': formattedHeroSkins,
-        'home-village-decor': [...formattedDecorations, ...formattedObstacles],
+        'home-village-decor': [...formattedDecorations, ...formattedObstacles, ...formattedBBDecorations, ...formattedBBObstacles],
         'sceneries': formattedSceneries,
         'clan-hall-aesthetics': formattedClanCapital
     };
 
+    state.aliases = { heroes: aliases.heroes || {}, items: aliases.items || {} };
+    searchIndexCache.clear();
+    searchScoreCache = { query: null, scores: new Map() };
+    state.seasonReleaseKeys = buildSeasonReleaseKeys(state.allItems['cosmetic-compendium']);
+    const catalogCodes = new Set(state.allItems['cosmetic-compendium'].map(item => item.code));
+    state.sets = (setsData.sets || [])
+        .map(set => ({ ...set, codes: set.codes.map(String).filter(code => catalogCodes.has(code)) }))
+        .filter(set => set.codes.length > 1);
     state.items = state.allItems[state.activeCategory] || [];
     await preloadImages(state.items, 50);
 }
@@ -189,38 +365,114 @@ async function loadAllMasterData() {
 // ============================================
 // JSON PARSER
 // ============================================
+// Codes from the recognised export sections only (see export-parser.js)
 function extractCodesFromJSON(obj) {
-    const codes = new Set();
-    function walk(v) {
-        if (Array.isArray(v)) {
-            v.forEach(item => {
-                if (typeof item === "number") codes.add(String(item));
-                else if (item && typeof item === "object") walk(item);
-            });
-        } else if (v && typeof v === "object") {
-            if ("data" in v && typeof v.data === "number") codes.add(String(v.data));
-            if ("code" in v && (typeof v.code === "string" || typeof v.code === "number")) codes.add(String(v.code));
-            Object.values(v).forEach(walk);
-        }
+    return window.ExportParser.extractExportCodes(obj);
+}
+
+function getKnownCodes() {
+    return new Set(Object.values(state.allItems).flat().map(item => item.code));
+}
+
+// Parse and validate pasted export text. Returns { parsed, report }
+function diagnoseExport(jsonString) {
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonString);
+    } catch (err) {
+        return { parsed: null, report: { valid: false, errors: ['Invalid JSON. Check formatting.'], warnings: [], sections: {}, codes: [], unknownCodes: [] } };
     }
-    walk(obj);
-    return [...codes];
+    const report = window.ExportParser.validateExport(parsed, getKnownCodes());
+    checkExportTimestamp(report);
+    return { parsed, report };
+}
+
+// The parser only checks a timestamp exists; CacheManager also range-checks it
+function checkExportTimestamp(report) {
+    if (!report.timestamp || !window.CacheManager) return report;
+    const timestampCheck = window.CacheManager.validateTimestamp(report.timestamp);
+    if (!timestampCheck.valid) report.errors.push(timestampCheck.error);
+    report.valid = report.errors.length === 0;
+    return report;
+}
+
+function summarizeExportReport(report) {
+    const found = Object.values(report.sections).filter(section => section.found);
+    return found.map(section => `${section.count} ${section.label.toLowerCase()}`).join(', ');
+}
+
+// Effective ownership: a manual override wins over the export
+function isCodeOwned(code) {
+    if (code in state.ownershipOverrides) return state.ownershipOverrides[code];
+    return state.userOwnedCodes.has(code);
+}
+
+// Mark every catalog item as owned/missing for the given codes
+function applyOwnedCodes(codes) {
+    state.userOwnedCodes = new Set(codes);
+    refreshOwnership();
+}
+
+function refreshOwnership() {
+    Object.keys(state.allItems).forEach(categoryId => {
+        state.allItems[categoryId] = state.allItems[categoryId].map(item => ({
+            ...item,
+            owned: isCodeOwned(item.code)
+        }));
+    });
+    state.items = state.items.map(item => ({
+        ...item,
+        owned: isCodeOwned(item.code)
+    }));
+}
+
+// Render an already-parsed export (e.g. from the cache) without saving it again
+function applyUserData(parsed, profileId = null, codes = extractCodesFromJSON(parsed)) {
+    state.hasUserData = true;
+    state.activeProfile = profileId;
+    // Overrides are stored apart from the export, so a re-import keeps them
+    loadOwnershipOverrides();
+    loadVaultScore();
+    applyOwnedCodes(codes);
+    state.newSinceLastImport = getNewSinceLastImport(profileId);
+    loadWishlist();
+    return codes;
+}
+
+// Codes that appeared between the two most recent snapshots of a profile
+function getNewSinceLastImport(profileId) {
+    if (!window.CacheManager || !profileId) return new Set();
+    const snapshots = window.CacheManager.getSnapshots(profileId);
+    if (snapshots.length < 2) return new Set();
+    const previous = new Set(snapshots[snapshots.length - 2].codes);
+    return new Set(snapshots[snapshots.length - 1].codes.filter(code => !previous.has(code)));
 }
 
 function parseUserData(jsonString) {
+    const { parsed, report } = diagnoseExport(jsonString);
+    return importValidatedExport(parsed, report, jsonString);
+}
+
+// Save and render an export that has already been through diagnoseExport (or the import worker)
+function importValidatedExport(parsed, report, jsonString) {
     try {
-        const parsed = JSON.parse(jsonString);
-        const codes = extractCodesFromJSON(parsed);
-        state.userOwnedCodes = new Set(codes);
+        if (!report.valid) return { success: false, message: report.errors[0], report };
+        const codes = report.codes;
+        let profileId = null;
 
         // Use CacheManager to save data with timestamp validation
         // This ensures the timestamp is validated and stored for 24-hour expiration checks
+        // The export is saved under its player tag, so each account keeps its own profile
         if (window.CacheManager) {
             const cacheResult = window.CacheManager.saveClanData(jsonString);
             if (!cacheResult.success) {
                 console.warn('Cache save failed:', cacheResult.message);
                 // Fall back to legacy storage if cache manager fails
                 localStorage.setItem('userCollectionData', jsonString);
+            } else {
+                profileId = cacheResult.profileId;
+                // Keep a dated snapshot of every accepted export for the progress timeline
+                window.CacheManager.saveSnapshot(profileId, cacheResult.timestamp, codes);
             }
         } else {
             // Fallback if cache manager isn't loaded
@@ -228,23 +480,141 @@ function parseUserData(jsonString) {
             localStorage.setItem('userCollectionData', jsonString);
         }
 
-        Object.keys(state.allItems).forEach(categoryId => {
-            state.allItems[categoryId] = state.allItems[categoryId].map(item => ({
-                ...item,
-                owned: state.userOwnedCodes.has(item.code)
-            }));
-        });
-        state.items = state.items.map(item => ({
-            ...item,
-            owned: state.userOwnedCodes.has(item.code)
-        }));
-        state.hasUserData = true;
-        const playerTag = parsed.tag || (parsed.player && parsed.player.tag) || null;
-        return { success: true, message: `Matched ${codes.length} unique codes.`, playerTag };
+        applyUserData(parsed, profileId, codes);
+        renderProfileSwitcher();
+        const playerTag = report.playerTag;
+        return { success: true, message: `Matched ${codes.length} unique codes (${summarizeExportReport(report)}).`, playerTag, profileId, report };
     } catch (err) {
-        console.error("Parse error:", err);
-        return { success: false, message: "Invalid JSON. Check formatting." };
+        console.error("Import error:", err);
+        return { success: false, message: "Could not import this export." };
+    }
+}
+
+// ============================================
+// COLLECTION PROFILES
+// ============================================
+// Load a saved profile from the cache and render it. Returns true on success.
+function loadProfileData(profileId) {
+    const cacheResult = window.CacheManager.loadClanData(profileId);
+
+    if (cacheResult.status === 'valid') {
+        // Data is valid and not expired, load it
+        try {
+            applyUserData(cacheResult.data, cacheResult.profileId);
+            const clearBtn = document.getElementById("clear-data-btn");
+            if (clearBtn) clearBtn.style.display = "block";
+
+            // Show subtle notification about data age
+            if (cacheResult.ageHours > 0) {
+                console.log(`Loaded cached data (${cacheResult.ageHours} hours old)`);
+            }
+            return true;
+        } catch (err) {
+            console.error("Error loading cached data:", err);
+        }
+    } else if (cacheResult.status === 'expired') {
+        // Data exists but is older than 24 hours
+        console.warn(cacheResult.message);
+
+        // Drop the expired export; the profile and its name stay listed
+        window.CacheManager.clearClanData(cacheResult.profileId);
+
+        // Show user-friendly message that data is stale
+        showToast(
+            "Data Expired",
+            `Your cached data is ${cacheResult.ageHours} hours old. Please upload a fresh export.`,
+            "warning"
+        );
+    } else if (cacheResult.status === 'not_found') {
+        // No cached data, user needs to upload
+        console.log('No cached data found');
+    } else {
+        // Error occurred (corrupted data, invalid timestamp, etc.)
+        console.error('Cache load error:', cacheResult.message);
+        showToast("Cache Error", cacheResult.message, "error");
+    }
+    return false;
+}
+
+// Load a profile. An expired profile stays listed under its name but has no
+// export to render, so this falls through to the most recently saved profile
+// that still has one and makes it active. When none does, the requested profile
+// stays active so it can be re-uploaded or removed. Returns true if some profile was loaded.
+function loadAvailableProfile(profileId) {
+    const first = profileId || window.CacheManager.getActiveProfileId();
+    if (!first) return false;
+    const candidates = [first, ...window.CacheManager.listProfiles().map(profile => profile.id).filter(id => id !== first)];
+    const loaded = candidates.find(candidate => loadProfileData(candidate));
+    if (!loaded) {
+        const clearBtn = document.getElementById("clear-data-btn");
+        if (clearBtn) clearBtn.style.display = "block";
+        return false;
+    }
+    if (loaded !== first) window.CacheManager.setActiveProfile(loaded);
+    return true;
+}
+
+// Per-profile localStorage key. Without a loaded profile the suffix is one no
+// profile id can have ('#' is stripped from tags), so it never shares a slot
+// with the 'default' profile of tagless exports.
+const NO_PROFILE_KEY = '#none';
+
+function getProfileStorageKey(baseKey) {
+    return `${baseKey}:${state.activeProfile || NO_PROFILE_KEY}`;
+}
+
+function resetOwnershipState() {
+    state.ownershipOverrides = {};
+    setOwnershipEditMode(false);
+    applyOwnedCodes([]);
+    state.hasUserData = false;
+    state.activeProfile = null;
+    state.newSinceLastImport = new Set();
+    state.vaultScore = null;
+    loadWishlist();
+}
+
+function switchProfile(profileId) {
+    if (!window.CacheManager || profileId === state.activeProfile) return;
+    const result = window.CacheManager.setActiveProfile(profileId);
+    if (!result.success) {
+        showToast("Error", result.message, "error");
+        return;
     }
+    resetOwnershipState();
+    state.visibleLimit = 50;
+    if (loadAvailableProfile(profileId) && state.activeProfile === profileId) {
+        showToast("Profile Switched", result.message);
+    }
+    renderProfileSwitcher();
+    updateUI();
+}
+
+function renderProfileSwitcher() {
+    const switcher = document.getElementById('profile-switcher');
+    const select = document.getElementById('profile-select');
+    if (!switcher || !select || !window.CacheManager) return;
+    const profiles = window.CacheManager.listProfiles();
+    const selectedId = state.activeProfile || window.CacheManager.getActiveProfileId();
+    switcher.style.display = profiles.length > 0 ? 'flex' : 'none';
+    const options = profiles.map(profile => {
+        const label = profile.name === `#${profile.id}` || profile.id === 'default'
+            ? profile.name
+            : `${profile.name} (#${profile.id})`;
+        return `<option value="${escapeHTML(profile.id)}" ${profile.id === selectedId ? 'selected' : ''}>${escapeHTML(label)}</option>`;
+    });
+    options.push('<option value="__add__">+ Add account…</option>');
+    select.innerHTML = options.join('');
+}
+
+function handleProfileRename() {
+    if (!window.CacheManager || !state.activeProfile) return;
+    const current = window.CacheManager.listProfiles().find(p => p.id === state.activeProfile);
+    const name = window.prompt('Name this account (e.g. "Main" or "Mini 2"):', current ? current.name : '');
+    if (name === null) return;
+    const result = window.CacheManager.renameProfile(state.activeProfile, name);
+    if (result.success) renderProfileSwitcher();
+    else showToast("Error", result.message, "error");
 }
 
 // ============================================
@@ -256,6 +626,8 @@ const Router = {
         'scenery': 'sceneries',
         'obstacle': 'obstacles',
         'decoration': 'decorations',
+        'bbobstacle': 'bb-obstacles',
+        'bbdecoration': 'bb-decorations',
         'clan': 'clan-items'
     },
     prefixToType: {
@@ -263,8 +635,15 @@ const Router = {
         'sceneries': 'scenery',
         'obstacles': 'obstacle',
         'decorations': 'decoration',
+        'bb-obstacles': 'bbobstacle',
+        'bb-decorations': 'bbdecoration',
         'clan-items': 'clan'
     },
+    // Item URLs from before an item was moved or renamed: "<prefix>/<slug>" -> item code
+    legacyItemPaths: {
+        'obstacles/old-barbarian-statue': '8000055',
+        'obstacles/glowy-lantern-bb': '8000075'
+    },
     navigateToItem(item) {
         const prefix = this.typeToPrefix[item.type] || 'items';
         const url = `/tracker/${prefix}/${item.slug}`;
@@ -274,13 +653,18 @@ const Router = {
     },
     navigateToGrid() {
         const currentPage = window.PAGE_CATEGORY || 'compendium';
-        history.pushState({}, '', `/tracker/${currentPage}/`);
+        const gridURL = state.sharedCollection ? `/tracker/u/${state.sharedCollection.id}` : `/tracker/${currentPage}/`;
+        history.pushState({ filters: true }, '', gridURL + this.buildFilterSearch());
         document.title = document.querySelector('title')?.textContent || 'The Village Vault';
         hideDetailView();
     },
     parseCurrentURL() {
         const path = window.location.pathname;
-        const match = path.match(/\/tracker\/(skins|sceneries|obstacles|decorations|clan-items)\/([^/]+)/);
+        const sharedMatch = path.match(/\/tracker\/u\/([A-Za-z0-9]+)\/?$/);
+        if (sharedMatch) {
+            return { view: 'shared', id: sharedMatch[1] };
+        }
+        const match = path.match(/\/tracker\/(skins|sceneries|obstacles|decorations|bb-obstacles|bb-decorations|clan-items)\/([^/]+)/);
         if (match) {
             return { prefix: match[1], slug: match[2], type: this.prefixToType[match[1]] };
         }
@@ -300,12 +684,86 @@ const Router = {
             document.title = `${event.state.item.name} - The Village Vault`;
         } else {
             hideDetailView();
+            this.restoreFilters();
+            updateUI();
+        }
+    },
+    // Filters, search and sort as query parameters: ?type=heroskin&hero=archer_queen,barbarian_king&own=missing&rarity=legendary&q=ice&sort=oldest
+    filterParams: {
+        type: 'selectedTypes',
+        hero: 'selectedHeroes',
+        own: 'selectedOwnership',
+        rarity: 'selectedRarity'
+    },
+    // Query string for the current filters, keeping unrelated parameters such as ?wishlist
+    buildFilterSearch() {
+        const params = new URLSearchParams(window.location.search);
+        Object.entries(this.filterParams).forEach(([param, key]) => {
+            if (state[key].length) params.set(param, state[key].join(','));
+            else params.delete(param);
+        });
+        if (state.pendingRarity.length) params.set('rarity', state.pendingRarity.join(','));
+        if (state.searchQuery.trim()) params.set('q', state.searchQuery.trim());
+        else params.delete('q');
+        if (state.sortBy !== 'newest') params.set('sort', state.sortBy);
+        else params.delete('sort');
+        const search = params.toString();
+        return search ? `?${search}` : '';
+    },
+    // Called after every render; a new history entry per filter change, typing only replaces it
+    syncFilters() {
+        if (this.parseCurrentURL()?.slug) return;
+        const search = this.buildFilterSearch();
+        if (search === window.location.search) return;
+        const previous = new URLSearchParams(window.location.search);
+        const next = new URLSearchParams(search);
+        previous.delete('q');
+        next.delete('q');
+        const url = window.location.pathname + search;
+        if (previous.toString() === next.toString() && history.state?.filters) history.replaceState({ filters: true }, '', url);
+        else history.pushState({ filters: true }, '', url);
+    },
+    restoreFilters() {
+        const params = new URLSearchParams(window.location.search);
+        const list = param => (params.get(param) || '').split(',').filter(Boolean);
+        const heroIds = state.heroes.map(hero => hero.id);
+        const rarities = getRarityTiers().map(tier => tier.id);
+        const ownership = state.hasUserData ? ['owned', 'missing', 'wishlist'] : ['wishlist'];
+        state.selectedTypes = list('type').filter(type => document.querySelector(`[data-type-filter="${type}"]:not([disabled])`)).slice(0, 1);
+        state.selectedHeroes = list('hero').filter(id => heroIds.includes(id));
+        state.selectedOwnership = list('own').filter(value => ownership.includes(value)).slice(0, 1);
+        // Before the first /api/rarity response there are no tiers to check against yet,
+        // so the selection is kept as-is and applied by applyCommunityRarity
+        state.selectedRarity = state.hasCommunityData ? list('rarity').filter(value => rarities.includes(value)) : [];
+        state.pendingRarity = state.hasCommunityData ? [] : list('rarity');
+        const sortOptions = [...(document.getElementById('sort-select')?.options || [])].map(option => option.value);
+        const sort = params.get('sort');
+        state.sortBy = sort && sortOptions.includes(sort) ? sort : 'newest';
+        document.querySelectorAll('#sort-select, #mobile-sort-select').forEach(select => { select.value = state.sortBy; });
+        const query = params.get('q') || '';
+        document.querySelectorAll('#search-input, #mobile-search-input').forEach(input => { input.value = query; });
+        state.queryMappedFields = [];
+        applySearchQuery(query);
+        state.visibleLimit = 50;
+        // Drop unknown values and normalize the order so the next sync doesn't add a history entry
+        if (!this.parseCurrentURL()?.slug) {
+            history.replaceState(history.state, '', window.location.pathname + this.buildFilterSearch());
         }
     },
+    // Resolve an old item URL and swap it for the item's current one
+    findLegacyItem(prefix, slug) {
+        const code = this.legacyItemPaths[`${prefix}/${slug}`];
+        const item = code && Object.values(state.allItems).flat().find(entry => entry.code === code);
+        if (item) {
+            const url = `/tracker/${this.typeToPrefix[item.type] || 'items'}/${item.slug}`;
+            history.replaceState({ item }, '', url + window.location.search);
+        }
+        return item || null;
+    },
     init() {
         const urlData = this.parseCurrentURL();
-        if (urlData) {
-            const item = this.findItemBySlug(urlData.type, urlData.slug);
+        if (urlData && urlData.slug) {
+            const item = this.findItemBySlug(urlData.type, urlData.slug) || this.findLegacyItem(urlData.prefix, urlData.slug);
             if (item) {
                 renderDetailView(item);
                 document.title = `${item.name} - The Village Vault`;
@@ -315,6 +773,329 @@ const Router = {
     }
 };
 
+// ============================================
+// SEARCH
+// ============================================
+// Items are matched on their name, community aliases, hero name (and hero
+// aliases like "BK") and TID, tolerating a typo or two in longer words.
+// Scores rank the grid and the suggestions: exact > prefix > substring >
+// all words matched > fuzzy words matched.
+const MAX_SEARCH_SUGGESTIONS = 8;
+const searchIndexCache = new Map();
+// Scores for the last query, so filtering and ranking the grid score each item once
+let searchScoreCache = { query: null, scores: new Map() };
+
+// "P.E.K.K.A King" -> "pekka king", "TID_BARBARIAN_KING_PEKKA" -> "barbarian king pekka"
+function normalizeSearchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/^tid_/, '')
+        .replace(/[._'’]/g, match => (match === '_' ? ' ' : ''))
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function getSearchIndex(item) {
+    let index = searchIndexCache.get(item.code);
+    if (index) return index;
+    const name = normalizeSearchText(item.name);
+    const aliases = (state.aliases.items[item.code] || []).map(normalizeSearchText);
+    const extras = [
+        item.tid,
+        item.heroName,
+        ...(item.heroId ? state.aliases.heroes[item.heroId] || [] : [])
+    ].map(normalizeSearchText);
+    const words = new Set([name, ...aliases, ...extras].join(' ').split(' ').filter(Boolean));
+    index = { name, aliases, words: [...words] };
+    searchIndexCache.set(item.code, index);
+    return index;
+}
+
+// Edit distance, giving up once it exceeds maxDistance
+function levenshtein(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// How well one query word matches the item's words, 0..1
+function scoreSearchToken(token, words) {
+    const maxTypos = token.length < 4 ? 0 : token.length < 7 ? 1 : 2;
+    let best = 0;
+    for (const word of words) {
+        if (word === token) return 1;
+        if (word.startsWith(token)) best = Math.max(best, 0.9);
+        else if (word.includes(token)) best = Math.max(best, 0.7);
+        else if (maxTypos > 0) {
+            // Longer words are also compared against the word's prefix, so "gladiatr" still finds "gladiator"
+            const distance = Math.min(
+                levenshtein(token, word, maxTypos),
+                token.length >= 5 ? levenshtein(token, word.slice(0, token.length), maxTypos) : maxTypos + 1
+            );
+            if (distance <= maxTypos) best = Math.max(best, 0.6 - distance * 0.1);
+        }
+    }
+    return best;
+}
+
+/**
+ * Score an item against a search query
+ * @param {Object} item - Formatted item
+ * @param {string} query - Raw search text
+ * @returns {number} 0 when the item doesn't match, higher is better (1 when the query is empty)
+ */
+function getSearchScore(item, query) {
+    const q = normalizeSearchText(query);
+    if (!q) return 1;
+    if (searchScoreCache.query !== q) searchScoreCache = { query: q, scores: new Map() };
+    if (!searchScoreCache.scores.has(item.code)) searchScoreCache.scores.set(item.code, computeSearchScore(item, q));
+    return searchScoreCache.scores.get(item.code);
+}
+
+function computeSearchScore(item, q) {
+    if (/^\d+$/.test(q) && item.code.includes(q)) return item.code === q ? 100 : 75;
+    const index = getSearchIndex(item);
+    if (index.name === q) return 100;
+    if (index.aliases.includes(q)) return 95;
+    if (index.name.startsWith(q)) return 90;
+    if (index.aliases.some(alias => alias.startsWith(q))) return 85;
+    if (index.name.includes(q)) return 80;
+    if (index.aliases.some(alias => alias.includes(q))) return 75;
+    let total = 0;
+    for (const token of q.split(' ')) {
+        const tokenScore = scoreSearchToken(token, index.words);
+        if (tokenScore === 0) return 0;
+        total += tokenScore;
+    }
+    return 30 + Math.round((total / q.split(' ').length) * 40);
+}
+
+// ============================================
+// SEARCH SUGGESTIONS
+// ============================================
+function getSearchSuggestions(input) {
+    const parsed = parseSearchQuery(input);
+    const query = getQueryText(parsed);
+    if (!normalizeSearchText(query)) return [];
+    return state.items
+        .map(item => ({ item, score: getSearchScore(item, query) }))
+        .filter(entry => entry.score > 0 && matchesQuery(entry.item, parsed))
+        .sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name))
+        .slice(0, MAX_SEARCH_SUGGESTIONS)
+        .map(entry => entry.item);
+}
+
+function setupSearchSuggestions(input) {
+    const container = input.closest('.search-container') || input.parentElement;
+    const dropdown = document.createElement('div');
+    dropdown.className = 'search-suggestions';
+    dropdown.setAttribute('role', 'listbox');
+    dropdown.hidden = true;
+    container.appendChild(dropdown);
+    input.setAttribute('autocomplete', 'off');
+    let suggestions = [];
+    let activeIndex = -1;
+
+    const close = () => {
+        dropdown.hidden = true;
+        activeIndex = -1;
+    };
+    const highlight = index => {
+        activeIndex = index;
+        dropdown.querySelectorAll('.search-suggestion').forEach((el, i) => el.classList.toggle('active', i === index));
+    };
+    const choose = item => {
+        close();
+        input.blur();
+        Router.navigateToItem(item);
+    };
+    const render = () => {
+        suggestions = getSearchSuggestions(input.value);
+        activeIndex = -1;
+        if (!suggestions.length) { close(); return; }
+        dropdown.innerHTML = suggestions.map((item, i) => `
+            <div class="search-suggestion" role="option" data-index="${i}">
+                <img src="${item.image}" alt="" loading="lazy">
+                <div class="search-suggestion-text">
+                    <span class="search-suggestion-name">${escapeHTML(item.name)}</span>
+                    <span class="search-suggestion-meta">${escapeHTML(item.heroName || getTypeBadgeText(item.type, item.category))}</span>
+                </div>
+                ${state.hasUserData ? `<span class="search-suggestion-status ${item.owned ? 'owned' : 'missing'}">${item.owned ? '✓' : '✕'}</span>` : ''}
+            </div>`).join('');
+        dropdown.hidden = false;
+    };
+
+    input.addEventListener('input', render);
+    input.addEventListener('focus', () => { if (input.value) render(); });
+    input.addEventListener('blur', close);
+    input.addEventListener('keydown', e => {
+        if (dropdown.hidden) return;
+        if (e.key === 'ArrowDown') { e.preventDefault(); highlight((activeIndex + 1) % suggestions.length); }
+        else if (e.key === 'ArrowUp') { e.preventDefault(); highlight((activeIndex - 1 + suggestions.length) % suggestions.length); }
+        else if (e.key === 'Enter') {
+            if (activeIndex >= 0) { e.preventDefault(); choose(suggestions[activeIndex]); }
+            else close();
+        }
+        else if (e.key === 'Escape') close();
+    });
+    // mousedown fires before the input's blur closes the dropdown
+    dropdown.addEventListener('mousedown', e => {
+        const option = e.target.closest('.search-suggestion');
+        if (!option) return;
+        e.preventDefault();
+        choose(suggestions[Number(option.dataset.index)]);
+    });
+}
+
+// ============================================
+// QUERY FILTERS
+// ============================================
+// Field filters typed into the search box (see query-parser.js). Plain
+// "field:value" filters that have a checkbox on the page are moved into
+// the matching state.selected* list so the checkboxes show them;
+// negated, numeric and other filters are checked per item by matchesQuery.
+function parseSearchQuery(text) {
+    if (!window.QueryParser) return { terms: [{ value: text, negate: false }], filters: [], errors: [] };
+    return window.QueryParser.parseQuery(text, { rarity: getRarityTiers().map(tier => tier.id) });
+}
+
+// Free text left after the field filters, used for scoring
+function getQueryText(parsed = state.parsedQuery) {
+    return parsed.terms.filter(term => !term.negate).map(term => term.value).join(' ');
+}
+
+function findHeroIds(value) {
+    const query = normalizeSearchText(value);
+    return state.heroes
+        .filter(hero => normalizeSearchText(hero.name).includes(query) ||
+            (state.aliases.heroes[hero.id] || []).some(alias => normalizeSearchText(alias) === query))
+        .map(hero => hero.id);
+}
+
+function matchesQueryFilter(item, filter) {
+    const value = filter.value;
+    switch (filter.field) {
+        case 'type':
+            return item.type === value || normalizeSearchText(getTypeBadgeText(item.type, item.category)).includes(normalizeSearchText(value));
+        case 'hero':
+            return Boolean(item.heroId) && findHeroIds(value).includes(item.heroId);
+        case 'season':
+            return normalizeSearchText(item.season).includes(normalizeSearchText(value));
+        case 'source':
+            return Object.keys(ITEM_SOURCES)
+                .filter(key => key === value || normalizeSearchText(ITEM_SOURCES[key]).includes(normalizeSearchText(value)))
+                .some(key => matchesSourceFilter(item, key));
+        case 'owned':
+            return isCodeOwned(item.code) === value;
+        case 'year': {
+            const year = getReleaseYear(item);
+            return year !== null && window.QueryParser.compareQueryNumber(year, filter.op, value);
+        }
+        case 'rarity': {
+            const rarity = state.communityRarity[item.code];
+            if (!state.hasCommunityData || !rarity) return false;
+            if (filter.op === 'label') return getRarityTierId(rarity.label) === value;
+            return window.QueryParser.compareQueryNumber(Number(rarity.percentage), filter.op, value);
+        }
+        default:
+            return true;
+    }
+}
+
+function matchesQuery(item, parsed) {
+    // Scored directly so excluded words don't evict the main query's score cache
+    const excludedTerms = parsed.terms.map(term => term.negate && normalizeSearchText(term.value)).filter(Boolean);
+    if (excludedTerms.some(term => computeSearchScore(item, term) > 0)) return false;
+    return parsed.filters.every(filter => filter.mapped || matchesQueryFilter(item, filter) !== filter.negate);
+}
+
+// Move plain field filters into the checkbox filter state, or null if the page has no control for them
+function mapQueryFilter(filter) {
+    if (filter.negate) return null;
+    switch (filter.field) {
+        case 'type':
+            if (!document.querySelector(`[data-type-filter="${filter.value}"]:not([disabled])`)) return null;
+            return () => { state.selectedTypes = [filter.value]; };
+        case 'hero': {
+            const heroIds = findHeroIds(filter.value);
+            if (state.activeCategory !== 'hero-wardrobe' || !heroIds.length) return null;
+            return () => { state.selectedHeroes = heroIds; };
+        }
+        case 'owned':
+            if (!state.hasUserData) return null;
+            return () => { state.selectedOwnership = [filter.value ? 'owned' : 'missing']; };
+        case 'rarity':
+            if (filter.op !== 'label' || !state.hasCommunityData) return null;
+            return () => { state.selectedRarity = [filter.value]; };
+        case 'source':
+            if (!ITEM_SOURCES[filter.value]) return null;
+            return () => { state.selectedSource = [filter.value]; };
+        default:
+            return null;
+    }
+}
+
+const QUERY_FILTER_RESETS = {
+    type: () => { state.selectedTypes = []; },
+    hero: () => { state.selectedHeroes = []; },
+    owned: () => { state.selectedOwnership = []; },
+    rarity: () => { state.selectedRarity = []; state.pendingRarity = []; },
+    source: () => { state.selectedSource = []; }
+};
+
+function applySearchQuery(text) {
+    state.searchQuery = text;
+    state.parsedQuery = parseSearchQuery(text);
+    const mappedFields = [];
+    state.parsedQuery.filters.forEach(filter => {
+        const apply = mapQueryFilter(filter);
+        if (!apply) return;
+        apply();
+        filter.mapped = true;
+        mappedFields.push(filter.field);
+    });
+    // Filters that came from an earlier query and were removed from the text
+    state.queryMappedFields
+        .filter(field => !mappedFields.includes(field))
+        .forEach(field => QUERY_FILTER_RESETS[field]());
+    state.queryMappedFields = mappedFields;
+    syncFilterControls();
+    document.querySelectorAll('#search-input, #mobile-search-input').forEach(input => {
+        input.classList.toggle('query-error', state.parsedQuery.errors.length > 0);
+        input.title = state.parsedQuery.errors.join('\n');
+    });
+}
+
+// Reflect the filter state in every checkbox and button
+function syncFilterControls() {
+    document.querySelectorAll('[data-type-filter]').forEach(btn => {
+        const type = btn.getAttribute('data-type-filter');
+        btn.classList.toggle('active', state.selectedTypes.length ? state.selectedTypes.includes(type) : type === 'all');
+    });
+    const syncChecked = (selector, selected) => {
+        document.querySelectorAll(selector).forEach(cb => { cb.checked = selected.includes(cb.value); });
+    };
+    syncChecked('.hero-filter, .mobile-hero-filter', state.selectedHeroes);
+    syncChecked('.ownership-filter, .mobile-ownership-filter', state.selectedOwnership);
+    syncChecked('.rarity-filter, .mobile-rarity-filter', state.selectedRarity);
+    syncChecked('.source-filter, .mobile-source-filter', state.selectedSource);
+    document.querySelectorAll('.btn-mobile-filter-ownership').forEach(btn => {
+        const ownership = btn.dataset.ownership;
+        btn.classList.toggle('active', state.selectedOwnership.length ? state.selectedOwnership.includes(ownership) : ownership === 'all');
+    });
+}
+
 // ============================================
 // FILTERING & SORTING
 // ============================================
@@ -342,6 +1123,24 @@ function filterByOwnership(ownership) {
     updateUI();
 }
 
+function filterByPrice(price) {
+    if (state.selectedPrice.includes(price)) {
+        state.selectedPrice = state.selectedPrice.filter(p => p !== price);
+    } else {
+        state.selectedPrice = [...state.selectedPrice, price];
+    }
+    updateUI();
+}
+
+function filterBySource(source) {
+    if (state.selectedSource.includes(source)) {
+        state.selectedSource = state.selectedSource.filter(s => s !== source);
+    } else {
+        state.selectedSource = [...state.selectedSource, source];
+    }
+    updateUI();
+}
+
 function filterByRarity(rarity) {
     if (state.selectedRarity.includes(rarity)) {
         state.selectedRarity = state.selectedRarity.filter(r => r !== rarity);
@@ -357,49 +1156,153 @@ function getItemCommunityRarityLabel(itemCode) {
     return state.communityRarity[itemCode].label;
 }
 
-// Map display labels to filter values
-const RARITY_LABEL_MAP = {
-    'Legendary': 'legendary',
-    'Ultra Rare': 'ultra-rare',
-    'Very Rare': 'very-rare',
-    'Rare': 'rare',
-    'Common': 'common'
-};
+// Tier names used until the tier config (with its thresholds) arrives from the API
+const DEFAULT_RARITY_TIERS = [
+    { id: 'legendary', label: 'Legendary' },
+    { id: 'ultra-rare', label: 'Ultra Rare' },
+    { id: 'very-rare', label: 'Very Rare' },
+    { id: 'rare', label: 'Rare' },
+    { id: 'common', label: 'Common' }
+];
+
+function getRarityTiers() {
+    return state.rarityTiers.length ? state.rarityTiers : DEFAULT_RARITY_TIERS;
+}
 
-function getFilteredItems() {
-    let filtered = state.items.filter(item => {
-        const matchSearch = item.name.toLowerCase().includes(state.searchQuery.toLowerCase()) ||
-            (item.code && item.code.toString().includes(state.searchQuery));
-        const matchType = state.selectedTypes.length === 0 || state.selectedTypes.includes(item.type);
-        const matchHero = state.activeCategory !== 'hero-wardrobe' ||
-            state.selectedHeroes.length === 0 ||
-            (item.heroId && state.selectedHeroes.includes(item.heroId));
-        const matchOwnership = state.selectedOwnership.length === 0 ||
-            (state.selectedOwnership.includes("owned") && item.owned) ||
-            (state.selectedOwnership.includes("missing") && !item.owned);
-
-        // Community rarity filter
-        let matchRarity = true;
-        if (state.selectedRarity.length > 0 && state.hasCommunityData) {
-            const itemRarityLabel = getItemCommunityRarityLabel(item.code);
-            if (itemRarityLabel) {
-                const itemRarityValue = RARITY_LABEL_MAP[itemRarityLabel];
-                matchRarity = state.selectedRarity.includes(itemRarityValue);
-            } else {
-                // Item has no community data, don't show if filtering by rarity
-                matchRarity = false;
-            }
-        }
+function getRarityTierId(label) {
+    const tier = getRarityTiers().find(t => t.label === label);
+    return tier ? tier.id : null;
+}
 
-        return matchSearch && matchType && matchHero && matchOwnership && matchRarity;
+// "<5%" for bounded tiers, "≥30%" for the last one, '' while the thresholds are unknown
+function formatTierRange(tier) {
+    const tiers = getRarityTiers();
+    if (tier.maxPercentage === undefined) return '';
+    if (tier.maxPercentage === null) {
+        const previous = tiers[tiers.indexOf(tier) - 1];
+        return previous ? `≥${previous.maxPercentage}%` : '';
+    }
+    return `<${tier.maxPercentage}%`;
+}
+
+// Rarity filter checkboxes (desktop and mobile), one per tier in the tier config
+function renderRarityFilterUI() {
+    ['rarity-filter', 'mobile-rarity-filter'].forEach(prefix => {
+        const options = document.getElementById(`${prefix}-options`);
+        if (!options) return;
+        options.innerHTML = getRarityTiers().map(tier => {
+            const range = formatTierRange(tier);
+            return `
+                <label class="filter-checkbox">
+                    <input type="checkbox" value="${escapeHTML(tier.id)}" class="${prefix}">
+                    <span class="checkbox-custom"></span>
+                    <span class="checkbox-label ${escapeHTML(tier.id)}-label">${escapeHTML(tier.label)}${range ? ` (${escapeHTML(range)})` : ''}</span>
+                </label>`;
+        }).join('');
+        options.querySelectorAll(`.${prefix}`).forEach(checkbox => {
+            checkbox.addEventListener('change', e => {
+                if (!state.hasCommunityData) {
+                    e.target.checked = false;
+                    showToast("No Community Data", "Community rarity data is not available yet", "error");
+                    return;
+                }
+                filterByRarity(e.target.value);
+                syncFilterControls();
+            });
+        });
     });
+    syncFilterControls();
+}
+
+// Search, type, hero and community rarity filters (everything except ownership)
+function matchesCatalogFilters(item) {
+    const matchSearch = getSearchScore(item, getQueryText()) > 0 && matchesQuery(item, state.parsedQuery);
+    const matchType = state.selectedTypes.length === 0 || state.selectedTypes.includes(item.type);
+    const matchHero = state.activeCategory !== 'hero-wardrobe' ||
+        state.selectedHeroes.length === 0 ||
+        (item.heroId && state.selectedHeroes.includes(item.heroId));
+
+    // Community rarity filter
+    let matchRarity = true;
+    if (state.selectedRarity.length > 0 && state.hasCommunityData) {
+        const itemRarityLabel = getItemCommunityRarityLabel(item.code);
+        if (itemRarityLabel) {
+            const itemRarityValue = getRarityTierId(itemRarityLabel);
+            matchRarity = state.selectedRarity.includes(itemRarityValue);
+        } else {
+            // Item has no community data, don't show if filtering by rarity
+            matchRarity = false;
+        }
+    }
+
+    const matchPrice = state.selectedPrice.length === 0 || state.selectedPrice.includes(getPriceType(item));
+    const matchSource = state.selectedSource.length === 0 || state.selectedSource.some(source => matchesSourceFilter(item, source));
+
+    // Release range: undated items are hidden once a year bound is set
+    const { fromYear, toYear, season } = state.releaseFilter;
+    let matchRelease = !season || item.season === season;
+    if (matchRelease && (fromYear || toYear)) {
+        const year = getReleaseYear(item);
+        matchRelease = year !== null && (!fromYear || year >= fromYear) && (!toYear || year <= toYear);
+    }
+
+    return matchSearch && matchType && matchHero && matchRarity && matchPrice && matchSource && matchRelease;
+}
+
+// Unknown (null) keys go last whatever the direction
+function compareReleaseKeys(ka, kb, direction) {
+    if (ka === null || kb === null) return (ka === null) - (kb === null);
+    return (ka - kb) * direction;
+}
+
+// Chronological by release date; undated items go last, ordered by code.
+// When grouping by season, whole groups are ordered first so a season whose
+// items were released over several months stays under a single header.
+function compareByRelease(a, b, direction) {
+    if (state.groupBySeason) {
+        const groupOrder = compareReleaseKeys(getSeasonGroupKey(a), getSeasonGroupKey(b), direction) ||
+            getSeasonGroupLabel(a).localeCompare(getSeasonGroupLabel(b));
+        if (groupOrder !== 0) return groupOrder;
+    }
+    return compareReleaseKeys(getReleaseKey(a), getReleaseKey(b), direction) || (a.code - b.code) * direction;
+}
+
+function sortItems(items) {
     switch (state.sortBy) {
-        case "oldest": filtered.sort((a, b) => a.code - b.code); break;
-        case "name-asc": filtered.sort((a, b) => a.name.localeCompare(b.name)); break;
-        case "name-desc": filtered.sort((a, b) => b.name.localeCompare(a.name)); break;
-        case "newest": default: filtered.sort((a, b) => b.code - a.code);
+        case "oldest": items.sort((a, b) => compareByRelease(a, b, 1)); break;
+        case "name-asc": items.sort((a, b) => a.name.localeCompare(b.name)); break;
+        case "name-desc": items.sort((a, b) => b.name.localeCompare(a.name)); break;
+        case "price-desc":
+        case "price-asc": {
+            // Items without a known price always go last
+            const direction = state.sortBy === "price-desc" ? -1 : 1;
+            items.sort((a, b) => {
+                const pa = getPriceSortValue(a);
+                const pb = getPriceSortValue(b);
+                if (pa === null || pb === null) return (pa === null) - (pb === null);
+                return (pa - pb) * direction;
+            });
+            break;
+        }
+        case "newest": default: items.sort((a, b) => compareByRelease(a, b, -1));
     }
-    return filtered;
+    return items;
+}
+
+function getFilteredItems() {
+    const filtered = state.items.filter(item => {
+        const matchOwnership = state.selectedOwnership.length === 0 ||
+            (state.selectedOwnership.includes("owned") && item.owned) ||
+            (state.selectedOwnership.includes("missing") && !item.owned) ||
+            (state.selectedOwnership.includes("wishlist") && Boolean(state.wishlist[item.code]));
+        const matchShared = !state.sharedWishlist || Boolean(state.sharedWishlist[item.code]);
+        return matchOwnership && matchShared && matchesCatalogFilters(item);
+    });
+    const sorted = sortItems(filtered);
+    // While searching, the best matches come first; the selected sort breaks ties
+    const text = getQueryText();
+    if (!normalizeSearchText(text)) return sorted;
+    return sorted.sort((a, b) => getSearchScore(b, text) - getSearchScore(a, text));
 }
 
 function updateTypeFilterUI(categoryId) {
@@ -412,14 +1315,18 @@ function updateTypeFilterUI(categoryId) {
             { value: 'scenery', label: 'Sceneries' },
             { value: 'obstacle', label: 'Obstacles' },
             { value: 'decoration', label: 'Decorations' },
-            { value: 'clan', label: 'Clan House Parts' }
+            { value: 'bbdecoration', label: 'BB Decorations' },
+            { value: 'bbobstacle', label: 'BB Obstacles' },
+            { value: 'clan', label: 'Clan Capital' }
         ],
         'hero-wardrobe': [{ value: 'heroskin', label: 'Hero Skins', disabled: true }],
-        'clan-hall-aesthetics': [{ value: 'clan', label: 'Clan Items', disabled: true }],
+        'clan-hall-aesthetics': [{ value: 'clan', label: 'Clan Capital', disabled: true }],
         'home-village-decor': [
             { value: 'all', label: 'All Items' },
             { value: 'decoration', label: 'Decorations' },
-            { value: 'obstacle', label: 'Obstacles' }
+            { value: 'obstacle', label: 'Obstacles' },
+            { value: 'bbdecoration', label: 'BB Decorations' },
+            { value: 'bbobstacle', label: 'BB Obstacles' }
         ],
         'sceneries': [{ value: 'scenery', label: 'Sceneries', disabled: true }]
     };
@@ -432,6 +1339,103 @@ function updateTypeFilterUI(categoryId) {
     attachTypeFilterListeners();
 }
 
+// Year range, season and grouping controls, built from the dates in the active category
+function renderReleaseFilterUI() {
+    const years = [...new Set(state.items.map(getReleaseYear).filter(Boolean))].sort((a, b) => a - b);
+    const seasons = [...new Set(state.items.map(item => item.season).filter(Boolean))]
+        .sort((a, b) => (state.seasonReleaseKeys[b] || 0) - (state.seasonReleaseKeys[a] || 0));
+    const hasData = years.length > 0 || seasons.length > 0;
+    const { fromYear, toYear, season } = state.releaseFilter;
+    const yearOptions = (selected, placeholder) => `<option value="">${placeholder}</option>` +
+        years.map(year => `<option value="${year}" ${year === selected ? 'selected' : ''}>${year}</option>`).join('');
+    const html = `
+        <div class="release-range">
+            <select class="sort-select release-select" data-release="fromYear" aria-label="Released from">${yearOptions(fromYear, 'From')}</select>
+            <span class="release-range-separator">–</span>
+            <select class="sort-select release-select" data-release="toYear" aria-label="Released until">${yearOptions(toYear, 'To')}</select>
+        </div>
+        <select class="sort-select release-select" data-release="season" aria-label="Season">
+            <option value="">All seasons</option>
+            ${seasons.map(name => `<option value="${escapeHTML(name)}" ${name === season ? 'selected' : ''}>${escapeHTML(name)}</option>`).join('')}
+        </select>
+        <label class="filter-checkbox">
+            <input type="checkbox" class="group-season-toggle" ${state.groupBySeason ? 'checked' : ''}>
+            <span class="checkbox-custom"></span>
+            <span class="checkbox-label">Group by season</span>
+        </label>
+        <p class="filter-coverage">${formatCoverage(getMetadataCoverage(state.items).release, state.items.length, 'Release date')}</p>`;
+    ['release-filter', 'mobile-release-filter'].forEach(prefix => {
+        const group = document.getElementById(`${prefix}-group`);
+        const options = document.getElementById(`${prefix}-options`);
+        if (!group || !options) return;
+        group.style.display = hasData ? 'block' : 'none';
+        options.innerHTML = html;
+        options.querySelectorAll('.release-select').forEach(select => {
+            select.addEventListener('change', () => {
+                const key = select.dataset.release;
+                const value = select.value;
+                state.releaseFilter[key] = key === 'season' ? value : (value ? Number(value) : null);
+                state.visibleLimit = 50;
+                renderReleaseFilterUI();
+                updateUI();
+            });
+        });
+        options.querySelector('.group-season-toggle').addEventListener('change', e => {
+            state.groupBySeason = e.target.checked;
+            renderReleaseFilterUI();
+            updateUI();
+        });
+    });
+}
+
+// item-details.json doesn't cover the whole catalog yet. The metadata filters
+// say how many items they can actually judge, so missing data isn't mistaken
+// for items that really are unpriced or undated.
+function getMetadataCoverage(items) {
+    return {
+        release: items.filter(item => getReleaseKey(item) !== null).length,
+        source: items.filter(item => item.source).length,
+        price: items.filter(item => getPriceType(item) !== 'unknown').length
+    };
+}
+
+function formatCoverage(known, total, label) {
+    return known === total ? `${label} known for all ${total} items` : `${label} known for ${known} of ${total} items`;
+}
+
+// Source and price options that no item in this category matches are hidden
+// rather than offered as filters that always come back empty; a group with no
+// options left is hidden whole, along with the price sorts when nothing is priced.
+function renderMetadataFilters() {
+    const coverage = getMetadataCoverage(state.items);
+    [
+        ['.source-filter, .mobile-source-filter', coverage.source, 'Source', (item, value) => matchesSourceFilter(item, value)],
+        ['.price-filter, .mobile-price-filter', coverage.price, 'Price', (item, value) => getPriceType(item) === value]
+    ].forEach(([selector, known, label, matches]) => {
+        const inputs = [...document.querySelectorAll(selector)];
+        inputs.forEach(input => {
+            const option = input.closest('.filter-checkbox');
+            if (option) option.style.display = state.items.some(item => matches(item, input.value)) ? '' : 'none';
+        });
+        const containers = new Set(inputs.map(input => input.closest('.filter-options')).filter(Boolean));
+        containers.forEach(container => {
+            const group = container.closest('.filter-group');
+            if (group) group.style.display = known > 0 ? '' : 'none';
+            let note = container.querySelector('.filter-coverage');
+            if (!note) {
+                note = document.createElement('p');
+                note.className = 'filter-coverage';
+                container.appendChild(note);
+            }
+            note.textContent = formatCoverage(known, state.items.length, label);
+        });
+    });
+    // Removed rather than hidden, so Router.restoreFilters also rejects ?sort=price-*
+    if (coverage.price === 0) {
+        document.querySelectorAll('#sort-select option[value^="price-"], #mobile-sort-select option[value^="price-"]').forEach(option => option.remove());
+    }
+}
+
 // ============================================
 // RENDERING UI
 // ============================================
@@ -440,10 +1444,14 @@ const TYPE_LABELS = {
     'obstacle': 'Obstacle',
     'heroskin': 'Hero Skin',
     'scenery': 'Scenery',
+    'bbdecoration': 'BB Decoration',
+    'bbobstacle': 'BB Obstacle',
     'clan': 'Clan Item'
 };
 
 function getTypeBadgeText(type, category) {
+    // Clan Capital items are labelled by their category (e.g. "Clan House Part")
+    if (type === 'clan' && category) return category;
     return TYPE_LABELS[type] || category;
 }
 
@@ -475,19 +1483,32 @@ function createItemCard(item) {
     const card = document.createElement("div");
     card.className = `item-card rarity-${item.rarity} type-${item.type}`;
     if (state.hasUserData && !item.owned) card.classList.add("grayscale");
+    const isNew = item.owned && state.newSinceLastImport.has(item.code);
+    if (isNew) card.classList.add("new-since-import");
+    if (item.obtainable === false) card.classList.add("unobtainable");
     const typeBadgeText = getTypeBadgeText(item.type, item.category);
+    const isOverridden = state.hasUserData && item.code in state.ownershipOverrides;
+    if (isOverridden) card.classList.add("ownership-overridden");
+    const ownershipTitle = `${item.owned ? 'Owned' : 'Missing'}${isOverridden ? ' (set manually)' : ''}`;
     const ownershipBadge = state.hasUserData ? `
-        <div class="item-status-badge ${item.owned ? 'owned' : 'missing'}" title="${item.owned ? 'Owned' : 'Missing'}">${item.owned ? '✓' : '✕'}</div>` : '';
+        <div class="item-status-badge ${item.owned ? 'owned' : 'missing'} ${isOverridden ? 'manual' : ''}" title="${ownershipTitle}">${item.owned ? '✓' : '✕'}</div>` : '';
     const communityBadge = getCommunityRarityBadge(item.code);
+    const wishlistPriority = state.wishlist[item.code];
+    const wishlistButton = !state.readOnly && (!item.owned || wishlistPriority) ? `
+                <button class="item-wishlist-btn ${wishlistPriority || ''}" title="${wishlistPriority ? WISHLIST_PRIORITIES[wishlistPriority].label : 'Add to wishlist'}" aria-label="Toggle wishlist">${wishlistPriority === 'nice-to-have' ? '☆' : '★'}</button>` : '';
     const frontHTML = `
         <div class="item-card-front">
             ${ownershipBadge}
+            ${isNew ? '<div class="item-new-badge" title="New since your last import">NEW</div>' : ''}
             <div class="item-type-badge ${item.type}">${typeBadgeText}</div>
             <div class="item-image-container">
                 <img src="${item.image}" class="item-image" loading="lazy" alt="${item.name}" width="100%" height="auto" style="display: block;">
-                ${communityBadge}
+                ${communityBadge}${wishlistButton}
+            </div>
+            <div class="item-info">
+                <h3>${item.name}</h3>
+                ${item.obtainable === false ? '<span class="item-unobtainable-tag" title="This item can no longer be obtained">No longer obtainable</span>' : ''}
             </div>
-            <div class="item-info"><h3>${item.name}</h3></div>
         </div>`;
     const backHTML = `
         <div class="item-card-back">
@@ -497,8 +1518,10 @@ function createItemCard(item) {
                 <h3>${item.name}</h3>
                 <div class="item-details-section"><div class="item-details-label">Type</div><div class="item-details-value">${typeBadgeText}</div></div>
                 <div class="item-details-section"><div class="item-details-label">Description</div><div class="item-details-value">${item.description || 'No description available.'}</div></div>
-                <div class="item-details-section"><div class="item-details-label">Released</div><div class="item-details-value">${item.released || 'Unknown'}</div></div>
+                <div class="item-details-section"><div class="item-details-label">Released</div><div class="item-details-value">${formatReleaseDate(item.released)}</div></div>
+                ${item.season ? `<div class="item-details-section"><div class="item-details-label">Season</div><div class="item-details-value">${item.season}</div></div>` : ''}
                 <div class="item-details-section"><div class="item-details-label">Availability</div><div class="item-details-value">${item.availability || 'Unknown'}</div></div>
+                ${item.source ? `<div class="item-details-section"><div class="item-details-label">Source</div><div class="item-details-value">${ITEM_SOURCES[item.source] || item.source}</div></div>` : ''}
                 ${item.heroName ? `<div class="item-details-section"><div class="item-details-label">Hero</div><div class="item-details-value">${item.heroName}</div></div>` : ''}
             </div>
         </div>`;
@@ -511,7 +1534,16 @@ function createItemCard(item) {
     card.dataset.slug = item.slug;
     card.dataset.type = item.type;
     card.addEventListener('click', (e) => {
-        if (!e.target.closest('.item-close-btn')) Router.navigateToItem(item);
+        if (e.target.closest('.item-wishlist-btn')) {
+            e.stopPropagation();
+            cycleWishlistPriority(item.code);
+            return;
+        }
+        if (state.ownershipEditMode) {
+            toggleOwnershipOverride(item.code);
+            return;
+        }
+        if (!e.target.closest('.item-close-btn')) Router.navigateToItem(item);
     });
     container.appendChild(card);
     return container;
@@ -528,7 +1560,15 @@ function renderItems() {
     if (!items.length) { msg.style.display = "block"; return; }
     msg.style.display = "none";
     const fragment = document.createDocumentFragment();
-    visibleItems.forEach(i => fragment.appendChild(createItemCard(i)));
+    const grouped = isGroupedBySeason();
+    let currentGroup = null;
+    visibleItems.forEach(i => {
+        if (grouped && getSeasonGroupLabel(i) !== currentGroup) {
+            currentGroup = getSeasonGroupLabel(i);
+            fragment.appendChild(createSeasonHeader(currentGroup, items));
+        }
+        fragment.appendChild(createItemCard(i));
+    });
     list.appendChild(fragment);
     if (items.length > state.visibleLimit) {
         const sentinel = document.createElement('div');
@@ -549,10 +1589,19 @@ function renderItems() {
     }
 }
 
-function updateProgressTracker() {
-    const el = document.getElementById("progress-tracker");
-    if (!el) return;
-    if (!state.hasUserData) { el.style.display = "none"; return; }
+function createSeasonHeader(label, items) {
+    const groupItems = items.filter(item => getSeasonGroupLabel(item) === label);
+    const header = document.createElement('div');
+    header.className = 'grid-season-header';
+    const owned = groupItems.filter(item => item.owned).length;
+    header.innerHTML = `
+        <h3>${escapeHTML(label)}</h3>
+        <span class="grid-season-count">${state.hasUserData ? `${owned}/${groupItems.length}` : groupItems.length} items</span>`;
+    return header;
+}
+
+// Owned/total for the active page, narrowed by the type and hero filters
+function getProgressStats() {
     let categoryItems = state.allItems[state.activeCategory] || [];
     if (state.selectedTypes.length > 0) categoryItems = categoryItems.filter(item => state.selectedTypes.includes(item.type));
     if (state.activeCategory === 'hero-wardrobe' && state.selectedHeroes.length > 0) {
@@ -561,6 +1610,14 @@ function updateProgressTracker() {
     const owned = categoryItems.filter(i => i.owned).length;
     const total = categoryItems.length;
     const pct = total > 0 ? Math.round((owned / total) * 100) : 0;
+    return { owned, total, pct };
+}
+
+function updateProgressTracker() {
+    const el = document.getElementById("progress-tracker");
+    if (!el) return;
+    if (!state.hasUserData) { el.style.display = "none"; return; }
+    const { owned, total, pct } = getProgressStats();
     el.style.display = "block";
     el.innerHTML = `
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
@@ -605,10 +1662,16 @@ function renderDetailView(item) {
                     <div class="detail-metadata">
                         ${item.heroName ? `<div class="detail-meta-item"><span class="detail-meta-label">Hero</span><span class="detail-meta-value">${item.heroName}</span></div>` : ''}
                         <div class="detail-meta-item"><span class="detail-meta-label">Rarity</span><span class="detail-meta-value rarity-${item.rarity}">${item.rarity}</span></div>
-                        <div class="detail-meta-item"><span class="detail-meta-label">Released</span><span class="detail-meta-value">${item.released || 'Unknown'}</span></div>
+                        <div class="detail-meta-item"><span class="detail-meta-label">Released</span><span class="detail-meta-value">${formatReleaseDate(item.released)}</span></div>
+                        ${item.season ? `<div class="detail-meta-item"><span class="detail-meta-label">Season</span><span class="detail-meta-value">${item.season}</span></div>` : ''}
                         <div class="detail-meta-item"><span class="detail-meta-label">Availability</span><span class="detail-meta-value">${item.availability || 'Unknown'}</span></div>
+                        ${item.source ? `<div class="detail-meta-item"><span class="detail-meta-label">Source</span><span class="detail-meta-value">${ITEM_SOURCES[item.source] || item.source}</span></div>` : ''}
+                        ${getPriceType(item) !== 'unknown' ? `<div class="detail-meta-item"><span class="detail-meta-label">Price</span><span class="detail-meta-value">${formatPrice(item)}</span></div>` : ''}
                     </div>
                     <div class="detail-description"><h3>Description</h3><p>${item.description || 'No description available.'}</p></div>
+                    ${getOwnershipEditSection(item)}
+                    ${getItemSetsSection(item)}
+                    ${getWishlistSection(item)}
                     ${getCommunityStatsSection(item.code)}
                     <div class="detail-url-share">
                         <label>Share this item:</label>
@@ -623,6 +1686,27 @@ function renderDetailView(item) {
                 </div>
             </div>
         </div>`;
+    detailView.querySelectorAll('.ownership-override-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.action === 'reset') clearOwnershipOverride(item.code);
+            else toggleOwnershipOverride(item.code);
+            const updated = Object.values(state.allItems).flat().find(i => i.code === item.code) || item;
+            renderDetailView(updated);
+        });
+    });
+    detailView.querySelectorAll('.set-member[data-code]').forEach(el => {
+        el.addEventListener('click', () => {
+            const sibling = findCatalogItem(el.dataset.code);
+            if (sibling) Router.navigateToItem(sibling);
+        });
+    });
+    detailView.querySelectorAll('.wishlist-priority-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const priority = btn.dataset.priority;
+            setWishlistPriority(item.code, state.wishlist[item.code] === priority ? null : priority);
+            renderDetailView(item);
+        });
+    });
     detailView.classList.add('visible');
     document.body.style.overflow = 'hidden';
 }
@@ -647,25 +1731,203 @@ function copyShareURL() {
     }
 }
 
+// ============================================
+// ITEM SETS
+// ============================================
+function findCatalogItem(code) {
+    return state.allItems['cosmetic-compendium'].find(item => item.code === String(code)) || null;
+}
+
+function getSetsForItem(code) {
+    return state.sets.filter(set => set.codes.includes(String(code)));
+}
+
+function getSetProgress(set) {
+    const items = set.codes.map(findCatalogItem).filter(Boolean);
+    const owned = items.filter(item => isCodeOwned(item.code)).length;
+    return { items, owned, total: items.length, complete: items.length > 0 && owned === items.length };
+}
+
+// Thumbnail row shared by the Sets view and the detail view
+function renderSetMembers(items, currentCode = null) {
+    return items.map(item => {
+        const owned = isCodeOwned(item.code);
+        const status = state.hasUserData ? (owned ? 'owned' : 'missing') : '';
+        return `
+            <button class="set-member ${status} ${item.code === currentCode ? 'current' : ''}" data-code="${item.code}" title="${escapeHTML(item.name)}${state.hasUserData ? (owned ? ' (owned)' : ' (missing)') : ''}">
+                <img src="${item.image}" alt="${escapeHTML(item.name)}" loading="lazy">
+                ${state.hasUserData ? `<span class="set-member-status">${owned ? '✓' : '✕'}</span>` : ''}
+            </button>`;
+    }).join('');
+}
+
+function getItemSetsSection(item) {
+    const sets = getSetsForItem(item.code);
+    if (!sets.length) return '';
+    return sets.map(set => {
+        const progress = getSetProgress(set);
+        return `
+            <div class="detail-set">
+                <h3>${escapeHTML(set.name)} Set${state.hasUserData ? ` <span class="detail-set-progress">${progress.owned}/${progress.total}</span>` : ''}</h3>
+                <div class="set-members">${renderSetMembers(progress.items, item.code)}</div>
+            </div>`;
+    }).join('');
+}
+
+function renderSetsView() {
+    const container = document.getElementById('sets-view');
+    const msg = document.getElementById('no-items-message');
+    const count = document.getElementById('items-count');
+    if (!container) return;
+    const query = normalizeSearchText(getQueryText());
+    const sets = state.sets
+        .map(set => ({ set, progress: getSetProgress(set) }))
+        .filter(({ set, progress }) => !query || normalizeSearchText(set.name).includes(query) ||
+            progress.items.some(item => getSearchScore(item, query) > 0));
+    // With a collection loaded, the closest-to-complete sets come first
+    if (state.hasUserData) sets.sort((a, b) => (b.progress.owned / b.progress.total) - (a.progress.owned / a.progress.total));
+    if (count) count.textContent = sets.length;
+    if (msg) msg.style.display = sets.length ? 'none' : 'block';
+    container.innerHTML = sets.map(({ set, progress }) => {
+        const pct = Math.round((progress.owned / progress.total) * 100);
+        return `
+            <div class="set-card ${state.hasUserData && progress.complete ? 'complete' : ''}">
+                <div class="set-card-header">
+                    <h3>${escapeHTML(set.name)}</h3>
+                    <span class="set-card-count">${state.hasUserData ? `${progress.owned}/${progress.total}` : `${progress.total} items`}</span>
+                </div>
+                ${set.description ? `<p class="set-card-description">${escapeHTML(set.description)}</p>` : ''}
+                ${state.hasUserData ? `<div class="progress-bar"><div class="progress-fill" style="width: ${pct}%"></div></div>` : ''}
+                <div class="set-members">${renderSetMembers(progress.items)}</div>
+            </div>`;
+    }).join('');
+    container.querySelectorAll('.set-member[data-code]').forEach(el => {
+        el.addEventListener('click', () => {
+            const item = findCatalogItem(el.dataset.code);
+            if (item) Router.navigateToItem(item);
+        });
+    });
+}
+
+function setViewMode(mode) {
+    state.viewMode = mode;
+    const grid = document.getElementById('items-grid');
+    const setsView = document.getElementById('sets-view');
+    if (grid) grid.style.display = mode === 'sets' ? 'none' : '';
+    if (setsView) setsView.style.display = mode === 'sets' ? '' : 'none';
+    document.querySelectorAll('.view-toggle-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === mode);
+    });
+    updateUI();
+}
+
+// ============================================
+// HERO DASHBOARD (wardrobe)
+// ============================================
+const PROGRESS_RING_RADIUS = 26;
+
+function renderProgressRing(owned, total) {
+    const circumference = 2 * Math.PI * PROGRESS_RING_RADIUS;
+    const pct = total > 0 ? owned / total : 0;
+    return `
+        <svg class="progress-ring" viewBox="0 0 64 64" width="64" height="64" aria-hidden="true">
+            <circle class="progress-ring-track" cx="32" cy="32" r="${PROGRESS_RING_RADIUS}"></circle>
+            <circle class="progress-ring-fill" cx="32" cy="32" r="${PROGRESS_RING_RADIUS}"
+                stroke-dasharray="${circumference.toFixed(2)}" stroke-dashoffset="${(circumference * (1 - pct)).toFixed(2)}"></circle>
+            <text x="32" y="36" text-anchor="middle">${Math.round(pct * 100)}%</text>
+        </svg>`;
+}
+
+// Newest by release date, falling back to the highest code for undated skins
+function getNewestItem(items) {
+    return items.reduce((newest, item) => {
+        if (!newest) return item;
+        const key = getReleaseKey(item) || 0;
+        const newestKey = getReleaseKey(newest) || 0;
+        if (key !== newestKey) return key > newestKey ? item : newest;
+        return Number(item.code) > Number(newest.code) ? item : newest;
+    }, null);
+}
+
+function showHeroInGrid(heroId) {
+    state.selectedHeroes = [];
+    filterByHero(heroId);
+    document.querySelectorAll('.hero-filter, .mobile-hero-filter').forEach(cb => {
+        cb.checked = cb.value === heroId;
+    });
+    document.getElementById('items-grid')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function renderHeroDashboard() {
+    const dashboard = document.getElementById('hero-dashboard');
+    if (!dashboard) return;
+    const skins = state.allItems['hero-wardrobe'] || [];
+    const cards = state.heroes.map(hero => {
+        const heroSkins = skins.filter(item => item.heroId === hero.id);
+        if (!heroSkins.length) return '';
+        const owned = heroSkins.filter(item => item.owned).length;
+        const missing = state.hasUserData ? heroSkins.filter(item => !item.owned) : [];
+        const newest = getNewestItem(heroSkins);
+        return `
+            <div class="hero-dashboard-card ${state.selectedHeroes.length === 1 && state.selectedHeroes[0] === hero.id ? 'active' : ''}" data-hero="${hero.id}" role="button" tabindex="0" title="Show ${escapeHTML(hero.name)} skins">
+                <div class="hero-dashboard-header">
+                    ${state.hasUserData ? renderProgressRing(owned, heroSkins.length) : ''}
+                    <div class="hero-dashboard-title">
+                        <h3>${escapeHTML(hero.name)}</h3>
+                        <span class="hero-dashboard-count">${state.hasUserData ? `${owned}/${heroSkins.length} skins` : `${heroSkins.length} skins`}</span>
+                    </div>
+                </div>
+                ${newest ? `
+                <button class="hero-dashboard-newest" data-code="${newest.code}">
+                    <img src="${newest.image}" alt="${escapeHTML(newest.name)}" loading="lazy">
+                    <span><span class="hero-dashboard-label">Newest</span>${escapeHTML(newest.name)}</span>
+                </button>` : ''}
+                ${state.hasUserData ? `
+                <div class="hero-dashboard-missing">
+                    <span class="hero-dashboard-label">${missing.length ? `Missing (${missing.length})` : 'All skins collected'}</span>
+                    ${missing.length ? `<div class="set-members">${renderSetMembers(missing)}</div>` : ''}
+                </div>` : ''}
+            </div>`;
+    }).join('');
+    dashboard.innerHTML = cards;
+    dashboard.querySelectorAll('.hero-dashboard-card').forEach(card => {
+        card.addEventListener('click', () => showHeroInGrid(card.dataset.hero));
+        card.addEventListener('keydown', e => {
+            if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); showHeroInGrid(card.dataset.hero); }
+        });
+    });
+    // Skin thumbnails open the detail view instead of filtering
+    dashboard.querySelectorAll('[data-code]').forEach(el => {
+        el.addEventListener('click', e => {
+            e.stopPropagation();
+            const item = findCatalogItem(el.dataset.code);
+            if (item) Router.navigateToItem(item);
+        });
+    });
+}
+
 // ============================================
 // ANALYTICS MODAL
 // ============================================
 function openAnalyticsModal() {
-    const allItemsList = Object.values(state.allItems).flat();
+    // The compendium holds every item once; the other categories are subsets of it
+    const allItemsList = state.allItems['cosmetic-compendium'] || [];
     const totalItems = allItemsList.length;
-    const ownedItems = allItemsList.filter(item => state.userOwnedCodes.has(item.code)).length;
+    const ownedItems = allItemsList.filter(item => isCodeOwned(item.code)).length;
     const percentage = totalItems > 0 ? Math.round((ownedItems / totalItems) * 100) : 0;
     const categories = {
         'heroskin': { label: 'Hero Skins', total: 0, owned: 0 },
         'scenery': { label: 'Sceneries', total: 0, owned: 0 },
         'decoration': { label: 'Decorations', total: 0, owned: 0 },
         'obstacle': { label: 'Obstacles', total: 0, owned: 0 },
-        'clan': { label: 'Clan House', total: 0, owned: 0 }
+        'bbdecoration': { label: 'BB Decorations', total: 0, owned: 0 },
+        'bbobstacle': { label: 'BB Obstacles', total: 0, owned: 0 },
+        'clan': { label: 'Clan Capital', total: 0, owned: 0 }
     };
     allItemsList.forEach(item => {
         if (categories[item.type]) {
             categories[item.type].total++;
-            if (state.userOwnedCodes.has(item.code)) categories[item.type].owned++;
+            if (isCodeOwned(item.code)) categories[item.type].owned++;
         }
     });
     let categoryHTML = '<div class="category-breakdown" style="margin-top: 1rem; display: flex; flex-direction: column; gap: 0.5rem;">';
@@ -676,6 +1938,14 @@ function openAnalyticsModal() {
         }
     });
     categoryHTML += '</div>';
+    // What is still missing, split by whether it can be obtained at all
+    const missingItems = allItemsList.filter(item => !isCodeOwned(item.code));
+    const missingGroups = [
+        { label: 'Missing but still obtainable', count: missingItems.filter(item => item.obtainable === true).length, color: 'var(--primary)' },
+        { label: 'Missing forever', count: missingItems.filter(item => item.obtainable === false).length, color: 'var(--red)' },
+        { label: 'Availability unknown', count: missingItems.filter(item => item.obtainable === null).length, color: 'var(--muted-foreground)' }
+    ];
+    const missingHTML = `<div class="category-breakdown" style="margin-top: 1rem; display: flex; flex-direction: column; gap: 0.5rem;">${missingGroups.map(group => `<div class="rarity-row" style="background: var(--card); border-left: 3px solid ${group.color};"><span class="rarity-name">${group.label}</span><span class="rarity-count" style="color: var(--foreground);">${group.count} items</span></div>`).join('')}</div>`;
     const collectionStats = document.getElementById('collection-stats');
     if (collectionStats) {
         collectionStats.innerHTML = `
@@ -683,32 +1953,40 @@ function openAnalyticsModal() {
             <div class="stat-card"><div class="stat-number">${totalItems - ownedItems}</div><div class="stat-label">Missing</div></div>
             <div class="stat-card"><div class="stat-number">${totalItems}</div><div class="stat-label">Total Items</div></div>
             <div class="stat-card highlight"><div class="stat-number">${percentage}%</div><div class="stat-label">Complete</div></div>
-            <div style="grid-column: 1 / -1;"><h4 style="margin: 0.5rem 0; color: var(--muted-foreground); font-size: 0.85rem; text-transform: uppercase; letter-spacing: 0.05em;">Category Breakdown</h4>${categoryHTML}</div>`;
+            <div style="grid-column: 1 / -1;"><h4 style="margin: 0.5rem 0; color: var(--muted-foreground); font-size: 0.85rem; text-transform: uppercase; letter-spacing: 0.05em;">Category Breakdown</h4>${categoryHTML}</div>
+            <div style="grid-column: 1 / -1;"><h4 style="margin: 0.5rem 0; color: var(--muted-foreground); font-size: 0.85rem; text-transform: uppercase; letter-spacing: 0.05em;">Missing Items</h4>${missingHTML}</div>`;
     }
     const communitySection = document.getElementById('community-section');
     const rarityBreakdown = document.getElementById('rarity-breakdown');
     if (state.hasCommunityData && Object.keys(state.communityRarity).length > 0 && communitySection && rarityBreakdown) {
         communitySection.style.display = 'block';
-        const rarityCounts = { 'Legendary': 0, 'Ultra Rare': 0, 'Very Rare': 0, 'Rare': 0, 'Common': 0 };
-        // Store which items belong to each rarity tier (for the user's owned items)
-        const rarityItems = { 'Legendary': [], 'Ultra Rare': [], 'Very Rare': [], 'Rare': [], 'Common': [] };
+        const tiers = getRarityTiers();
+        const rarityCounts = Object.fromEntries(tiers.map(tier => [tier.label, 0]));
         Object.keys(state.communityRarity).forEach(itemCode => {
-            if (state.userOwnedCodes.has(itemCode)) {
+            if (isCodeOwned(itemCode)) {
                 const itemData = state.communityRarity[itemCode];
-                if (rarityCounts.hasOwnProperty(itemData.label)) {
-                    rarityCounts[itemData.label]++;
-                    rarityItems[itemData.label].push(itemCode);
-                }
+                if (rarityCounts.hasOwnProperty(itemData.label)) rarityCounts[itemData.label]++;
             }
         });
 
-        // Create clickable rarity rows
-        rarityBreakdown.innerHTML = `
-            <div class="rarity-row legendary clickable" data-rarity="legendary" title="Click to view your ${rarityCounts['Legendary']} Legendary items"><span class="rarity-name">Legendary (&lt;1%)</span><span class="rarity-count">${rarityCounts['Legendary']} items</span></div>
-            <div class="rarity-row ultra-rare clickable" data-rarity="ultra-rare" title="Click to view your ${rarityCounts['Ultra Rare']} Ultra Rare items"><span class="rarity-name">Ultra Rare (&lt;5%)</span><span class="rarity-count">${rarityCounts['Ultra Rare']} items</span></div>
-            <div class="rarity-row very-rare clickable" data-rarity="very-rare" title="Click to view your ${rarityCounts['Very Rare']} Very Rare items"><span class="rarity-name">Very Rare (&lt;15%)</span><span class="rarity-count">${rarityCounts['Very Rare']} items</span></div>
-            <div class="rarity-row rare clickable" data-rarity="rare" title="Click to view your ${rarityCounts['Rare']} Rare items"><span class="rarity-name">Rare (&lt;30%)</span><span class="rarity-count">${rarityCounts['Rare']} items</span></div>
-            <div class="rarity-row common clickable" data-rarity="common" title="Click to view your ${rarityCounts['Common']} Common items"><span class="rarity-name">Common (≥30%)</span><span class="rarity-count">${rarityCounts['Common']} items</span></div>`;
+        // Vault score card, then one clickable row per tier
+        const vaultScore = state.vaultScore;
+        const weights = tiers.filter(tier => tier.weight).map(tier => `${tier.label} ${tier.weight}`);
+        const weightsText = weights.length ? `Tier weights of your items added up: ${weights.join(', ')}` : '';
+        // The score grows with collection size, so the percentile is worded as a score rank
+        const rankHTML = vaultScore && vaultScore.percentile !== null && vaultScore.percentile !== undefined
+            ? `Higher than <strong>${vaultScore.percentile}%</strong> of ranked collectors`
+            : `Ranked once ${vaultScore && vaultScore.minItems ? vaultScore.minItems : 'enough'} of your items are in the community table`;
+        const scoreHTML = vaultScore ? `
+            <div class="vault-score-card">
+                <div title="${escapeHTML(weightsText)}"><div class="stat-number">${vaultScore.score.toLocaleString()}</div><div class="stat-label">Vault Rarity Score</div></div>
+                <div class="vault-score-percentile">${rankHTML}</div>
+            </div>` : '';
+        rarityBreakdown.innerHTML = scoreHTML + tiers.map(tier => {
+            const range = formatTierRange(tier);
+            const count = rarityCounts[tier.label];
+            return `<div class="rarity-row ${tier.id} clickable" data-rarity="${tier.id}" title="Click to view your ${count} ${escapeHTML(tier.label)} items"><span class="rarity-name">${escapeHTML(tier.label)}${range ? ` (${range.replace('<', '&lt;')})` : ''}</span><span class="rarity-count">${count} items</span></div>`;
+        }).join('');
 
         // Add click handlers to rarity rows
         rarityBreakdown.querySelectorAll('.rarity-row.clickable').forEach(row => {
@@ -743,11 +2021,855 @@ function openAnalyticsModal() {
     } else if (communitySection) {
         communitySection.style.display = 'none';
     }
+    renderTimelineSection();
+    renderWishlistSection();
     openModal('analytics-modal');
 }
 
+// Add a section to the analytics modal on first use (after the static sections)
+function getOrCreateAnalyticsSection(sectionId, title) {
+    let section = document.getElementById(sectionId);
+    if (section) return section;
+    const content = document.getElementById('analytics-content');
+    if (!content) return null;
+    section = document.createElement('div');
+    section.id = sectionId;
+    section.className = 'analytics-section';
+    section.innerHTML = `<h3>${title}</h3><div class="analytics-section-body"></div>`;
+    content.appendChild(section);
+    return section;
+}
+
+// ============================================
+// PROGRESS TIMELINE
+// ============================================
+const TIMELINE_COLORS = {
+    'heroskin': 'hsl(45, 100%, 60%)',
+    'scenery': 'hsl(174, 77%, 47%)',
+    'decoration': 'hsl(280, 85%, 65%)',
+    'obstacle': 'hsl(20, 90%, 60%)',
+    'bbdecoration': 'hsl(230, 80%, 70%)',
+    'bbobstacle': 'hsl(0, 75%, 65%)',
+    'clan': 'hsl(200, 85%, 60%)'
+};
+
+// Owned count per item type for every snapshot of the active profile
+function getTimelineSeries() {
+    const snapshots = window.CacheManager ? window.CacheManager.getSnapshots(state.activeProfile) : [];
+    const typeByCode = new Map();
+    Object.values(state.allItems).flat().forEach(item => typeByCode.set(item.code, item.type));
+    const points = snapshots.map(snapshot => {
+        const counts = {};
+        snapshot.codes.forEach(code => {
+            const type = typeByCode.get(code);
+            if (type) counts[type] = (counts[type] || 0) + 1;
+        });
+        return { timestamp: snapshot.timestamp, counts };
+    });
+    const types = Object.keys(TIMELINE_COLORS).filter(type => points.some(p => p.counts[type]));
+    return { points, types };
+}
+
+function renderTimelineSection() {
+    const section = getOrCreateAnalyticsSection('timeline-section', 'Collection Timeline');
+    if (!section) return;
+    const body = section.querySelector('.analytics-section-body');
+    const { points, types } = getTimelineSeries();
+    if (points.length < 2) {
+        body.innerHTML = `<p class="analytics-subtitle">${points.length === 1 ? 'One import recorded so far.' : 'No imports recorded yet.'} Import a fresh export later to see your collection grow.</p>`;
+        return;
+    }
+
+    const width = 460, height = 200, padX = 36, padY = 20;
+    const maxCount = Math.max(1, ...points.flatMap(p => types.map(t => p.counts[t] || 0)));
+    const x = i => padX + (i / (points.length - 1)) * (width - padX * 2);
+    const y = count => height - padY - (count / maxCount) * (height - padY * 2);
+    const formatDate = ts => new Date(ts * 1000).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: '2-digit' });
+
+    const lines = types.map(type => {
+        const coords = points.map((p, i) => `${x(i).toFixed(1)},${y(p.counts[type] || 0).toFixed(1)}`).join(' ');
+        const dots = points.map((p, i) => `<circle cx="${x(i).toFixed(1)}" cy="${y(p.counts[type] || 0).toFixed(1)}" r="3" fill="${TIMELINE_COLORS[type]}"><title>${TYPE_LABELS[type]}: ${p.counts[type] || 0} (${formatDate(p.timestamp)})</title></circle>`).join('');
+        return `<polyline points="${coords}" fill="none" stroke="${TIMELINE_COLORS[type]}" stroke-width="2"/>${dots}`;
+    }).join('');
+
+    body.innerHTML = `
+        <p class="analytics-subtitle">${points.length} imports from ${formatDate(points[0].timestamp)} to ${formatDate(points[points.length - 1].timestamp)}</p>
+        <svg class="timeline-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Owned items per type over time">
+            <line x1="${padX}" y1="${height - padY}" x2="${width - padX}" y2="${height - padY}" class="timeline-axis"/>
+            <line x1="${padX}" y1="${padY}" x2="${padX}" y2="${height - padY}" class="timeline-axis"/>
+            <text x="${padX - 6}" y="${padY + 4}" text-anchor="end" class="timeline-label">${maxCount}</text>
+            <text x="${padX - 6}" y="${height - padY}" text-anchor="end" class="timeline-label">0</text>
+            <text x="${padX}" y="${height - 4}" class="timeline-label">${formatDate(points[0].timestamp)}</text>
+            <text x="${width - padX}" y="${height - 4}" text-anchor="end" class="timeline-label">${formatDate(points[points.length - 1].timestamp)}</text>
+            ${lines}
+        </svg>
+        <div class="timeline-legend">
+            ${types.map(type => `<span><i style="background: ${TIMELINE_COLORS[type]};"></i>${TYPE_LABELS[type]}</span>`).join('')}
+        </div>`;
+}
+
+// ============================================
+// MANUAL OWNERSHIP OVERRIDES
+// ============================================
+function getOverridesStorageKey() {
+    return getProfileStorageKey('vaultOwnershipOverrides');
+}
+
+function loadOwnershipOverrides() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getOverridesStorageKey()) || '{}');
+        state.ownershipOverrides = stored && typeof stored === 'object' ? stored : {};
+    } catch (err) {
+        console.error("Error loading ownership overrides:", err);
+        state.ownershipOverrides = {};
+    }
+}
+
+function saveOwnershipOverrides() {
+    if (Object.keys(state.ownershipOverrides).length) {
+        localStorage.setItem(getOverridesStorageKey(), JSON.stringify(state.ownershipOverrides));
+    } else {
+        localStorage.removeItem(getOverridesStorageKey());
+    }
+}
+
+// Flip an item's effective ownership; an override matching the export is dropped
+function toggleOwnershipOverride(code) {
+    if (!state.hasUserData || state.readOnly) return;
+    const owned = !isCodeOwned(code);
+    if (owned === state.userOwnedCodes.has(code)) delete state.ownershipOverrides[code];
+    else state.ownershipOverrides[code] = owned;
+    saveOwnershipOverrides();
+    refreshOwnership();
+    updateUI();
+}
+
+function clearOwnershipOverride(code) {
+    delete state.ownershipOverrides[code];
+    saveOwnershipOverrides();
+    refreshOwnership();
+    updateUI();
+}
+
+function setOwnershipEditMode(enabled) {
+    state.ownershipEditMode = enabled;
+    const btn = document.getElementById('edit-ownership-btn');
+    if (btn) {
+        btn.classList.toggle('active', enabled);
+        const label = btn.querySelector('span');
+        if (label) label.textContent = enabled ? 'Done Editing' : 'Edit Ownership';
+    }
+    const grid = document.getElementById('items-grid');
+    if (grid) grid.classList.toggle('ownership-edit-mode', enabled);
+}
+
+function handleEditOwnershipToggle() {
+    if (!state.hasUserData) {
+        showToast("No Data", "Upload your collection before editing ownership", "error");
+        return;
+    }
+    setOwnershipEditMode(!state.ownershipEditMode);
+    if (state.ownershipEditMode) showToast("Edit Mode", "Click an item to toggle owned / missing");
+}
+
+function getOwnershipEditSection(item) {
+    if (!state.hasUserData || state.readOnly) return '';
+    const isOverridden = item.code in state.ownershipOverrides;
+    const exportSays = state.userOwnedCodes.has(item.code) ? 'owned' : 'missing';
+    return `
+        <div class="detail-ownership-edit">
+            <h3>Ownership</h3>
+            ${isOverridden ? `<p class="detail-ownership-note">Set manually. Your export says ${exportSays}.</p>` : ''}
+            <div class="detail-wishlist-actions">
+                <button class="btn btn-secondary ownership-override-btn" data-action="toggle">${item.owned ? '✕ Mark as missing' : '✓ Mark as owned'}</button>
+                ${isOverridden ? '<button class="btn btn-secondary ownership-override-btn" data-action="reset">Use export value</button>' : ''}
+            </div>
+        </div>`;
+}
+
+// ============================================
+// WISHLIST
+// ============================================
+const WISHLIST_PRIORITIES = {
+    'must-have': { label: 'Must-have', icon: '★' },
+    'nice-to-have': { label: 'Nice-to-have', icon: '☆' }
+};
+
+function getWishlistStorageKey() {
+    return getProfileStorageKey('vaultWishlist');
+}
+
+function loadWishlist() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getWishlistStorageKey()) || '{}');
+        state.wishlist = stored && typeof stored === 'object' ? stored : {};
+    } catch (err) {
+        console.error("Error loading wishlist:", err);
+        state.wishlist = {};
+    }
+}
+
+function saveWishlist() {
+    localStorage.setItem(getWishlistStorageKey(), JSON.stringify(state.wishlist));
+}
+
+function setWishlistPriority(code, priority) {
+    if (priority && WISHLIST_PRIORITIES[priority]) state.wishlist[code] = priority;
+    else delete state.wishlist[code];
+    saveWishlist();
+    updateUI();
+}
+
+// Star button on cards: not wished -> must-have -> nice-to-have -> not wished
+function cycleWishlistPriority(code) {
+    const order = [undefined, 'must-have', 'nice-to-have'];
+    const next = order[(order.indexOf(state.wishlist[code]) + 1) % order.length];
+    setWishlistPriority(code, next);
+    if (next) showToast("Wishlist", `Marked as ${WISHLIST_PRIORITIES[next].label}`);
+}
+
+function getWishlistSection(item) {
+    const current = state.wishlist[item.code];
+    if (state.readOnly || (item.owned && !current)) return '';
+    return `
+        <div class="detail-wishlist">
+            <h3>Wishlist</h3>
+            <div class="detail-wishlist-actions">
+                ${Object.entries(WISHLIST_PRIORITIES).map(([value, p]) => `<button class="btn btn-secondary wishlist-priority-btn ${current === value ? 'active' : ''}" data-priority="${value}">${p.icon} ${p.label}</button>`).join('')}
+            </div>
+        </div>`;
+}
+
+function renderWishlistSection() {
+    const section = getOrCreateAnalyticsSection('wishlist-section', 'Wishlist');
+    if (!section) return;
+    section.style.display = state.readOnly ? 'none' : 'block';
+    const body = section.querySelector('.analytics-section-body');
+    const codes = Object.keys(state.wishlist);
+    if (!codes.length) {
+        body.innerHTML = '<p class="analytics-subtitle">Star missing items to build your wishlist.</p>';
+        return;
+    }
+    const rows = Object.entries(WISHLIST_PRIORITIES).map(([value, p]) => {
+        const group = codes.filter(code => state.wishlist[code] === value);
+        const owned = group.filter(code => isCodeOwned(code)).length;
+        const pct = group.length ? Math.round((owned / group.length) * 100) : 0;
+        return `<div class="rarity-row"><span class="rarity-name">${p.icon} ${p.label}</span><span class="rarity-count">${owned}/${group.length} (${pct}%)</span></div>`;
+    });
+    const ownedTotal = codes.filter(code => isCodeOwned(code)).length;
+    body.innerHTML = `
+        <p class="analytics-subtitle">${ownedTotal} of ${codes.length} wished items collected</p>
+        <div class="rarity-breakdown">${rows.join('')}</div>`;
+}
+
+// Compact link format: base36 codes joined by '.', must-haves prefixed with '!'
+function encodeWishlist(wishlist) {
+    return Object.entries(wishlist)
+        .map(([code, priority]) => (priority === 'must-have' ? '!' : '') + Number(code).toString(36))
+        .join('.');
+}
+
+function decodeWishlist(param) {
+    const wishlist = {};
+    String(param || '').split('.').forEach(part => {
+        const mustHave = part.startsWith('!');
+        const code = parseInt(mustHave ? part.slice(1) : part, 36);
+        if (!isNaN(code)) wishlist[String(code)] = mustHave ? 'must-have' : 'nice-to-have';
+    });
+    return wishlist;
+}
+
+function copyWishlistLink() {
+    if (!Object.keys(state.wishlist).length) {
+        showToast("Empty Wishlist", "Star some missing items first", "error");
+        return;
+    }
+    const url = `${window.location.origin}/tracker/compendium/?wishlist=${encodeWishlist(state.wishlist)}`;
+    navigator.clipboard.writeText(url).then(() => {
+        showToast("Copied!", "Wishlist link copied to clipboard", "success");
+    }).catch(() => {
+        showToast("Error", "Failed to copy wishlist link", "error");
+    });
+}
+
+function renderSharedWishlistBanner() {
+    const grid = document.getElementById('items-grid');
+    let banner = document.getElementById('shared-wishlist-banner');
+    if (!state.sharedWishlist) {
+        if (banner) banner.remove();
+        return;
+    }
+    if (!grid) return;
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'shared-wishlist-banner';
+        banner.className = 'shared-banner';
+        grid.parentNode.insertBefore(banner, grid);
+    }
+    const count = Object.keys(state.sharedWishlist).length;
+    banner.innerHTML = `
+        <span>Viewing a shared wishlist with <strong>${count}</strong> items</span>
+        <div class="shared-banner-actions">
+            <button class="btn btn-primary btn-tool" id="import-shared-wishlist-btn">Add to my wishlist</button>
+            <button class="btn btn-secondary btn-tool" id="close-shared-wishlist-btn">Show everything</button>
+        </div>`;
+    banner.querySelector('#import-shared-wishlist-btn').addEventListener('click', () => {
+        state.wishlist = { ...state.sharedWishlist, ...state.wishlist };
+        saveWishlist();
+        showToast("Wishlist", `Added ${count} items to your wishlist`);
+        updateUI();
+    });
+    banner.querySelector('#close-shared-wishlist-btn').addEventListener('click', () => {
+        state.sharedWishlist = null;
+        const url = new URL(window.location.href);
+        url.searchParams.delete('wishlist');
+        history.replaceState(history.state, '', url.pathname + url.search);
+        renderSharedWishlistBanner();
+        updateUI();
+    });
+}
+
+// ============================================
+// SHARED VAULTS
+// ============================================
+// Upload a read-only snapshot of the owned codes and show its /tracker/u/<id> link
+async function shareVault() {
+    if (!state.hasUserData || state.readOnly) {
+        showToast("No Data", "Upload your collection before sharing your vault", "error");
+        return;
+    }
+    const validCodes = new Set(Object.values(state.allItems).flat().map(item => item.code));
+    const ownedCodes = Array.from(validCodes).filter(code => isCodeOwned(code));
+    const profile = window.CacheManager?.listProfiles().find(p => p.id === state.activeProfile);
+    // Share pages are public: only names the user picked are sent, never the
+    // default "#<tag>" one
+    const name = profile && profile.name !== `#${profile.id}` ? profile.name : '';
+    const tag = state.activeProfile && state.activeProfile !== 'default' ? state.activeProfile : null;
+    try {
+        const response = await fetch('/api/share', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ownedCodes, name, clientId: getSyncClientId(tag) })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.id) throw new Error(data.error || `HTTP Error ${response.status}`);
+        const url = `${window.location.origin}/tracker/u/${data.id}`;
+        const modal = getOrCreateModal('share-vault-modal', 'Share Your Vault');
+        modal.querySelector('.modal-body').innerHTML = `
+            <p class="modal-description">Anyone with this link can browse a read-only copy of your collection as it is right now. The link expires after ${data.expiresInDays || 90} days, or when you delete your uploaded data.</p>
+            <div class="url-copy-container">
+                <input type="text" readonly value="${url}" class="url-input" id="share-vault-url">
+                <button class="copy-url-btn" id="copy-vault-url-btn">Copy</button>
+            </div>`;
+        modal.querySelector('#copy-vault-url-btn').addEventListener('click', () => {
+            navigator.clipboard.writeText(url).then(() => {
+                showToast('Copied!', 'Vault link copied to clipboard', 'success');
+            }).catch(() => {
+                showToast('Error', 'Failed to copy URL', 'error');
+            });
+        });
+        openModal('share-vault-modal');
+    } catch (err) {
+        console.error("Share error:", err);
+        showToast("Share Failed", "Could not create a share link. Please try again.", "error");
+    }
+}
+
+// Render someone else's snapshot in read-only mode. Returns true on success.
+async function loadSharedCollection(shareId) {
+    try {
+        const response = await fetch(`/api/share?id=${encodeURIComponent(shareId)}`);
+        if (!response.ok) throw new Error("HTTP Error " + response.status);
+        const data = await response.json();
+        state.readOnly = true;
+        state.sharedCollection = { id: data.id, name: data.name, createdAt: data.createdAt };
+        applyOwnedCodes((data.ownedCodes || []).map(String));
+        state.hasUserData = true;
+
+        // Hide everything that would modify the viewer's own data
+        ['.upload-controls', '#collection-tools', '#profile-switcher'].forEach(selector => {
+            const el = document.querySelector(selector);
+            if (el) el.style.display = 'none';
+        });
+        const grid = document.getElementById('items-grid');
+        if (grid) {
+            const banner = document.createElement('div');
+            banner.className = 'shared-banner';
+            const owner = data.name ? escapeHTML(data.name) : 'A collector';
+            const sharedOn = data.createdAt ? new Date(data.createdAt).toLocaleDateString() : '';
+            banner.innerHTML = `
+                <span><strong>${owner}</strong>'s vault${sharedOn ? ` · shared ${sharedOn}` : ''} · read-only</span>
+                <div class="shared-banner-actions"><a class="btn btn-secondary btn-tool" href="/tracker/compendium/">Open my vault</a></div>`;
+            grid.parentNode.insertBefore(banner, grid);
+        }
+        document.title = `${data.name || 'Shared'} Vault - The Village Vault`;
+        return true;
+    } catch (err) {
+        console.error("Error loading shared collection:", err);
+        showToast("Not Found", "This shared vault doesn't exist or was removed.", "error");
+        return false;
+    }
+}
+
+// ============================================
+// SHOWCASE IMAGE EXPORT
+// ============================================
+// Rendered client-side on a canvas from same-origin images, so it also works offline
+const SHOWCASE_TEMPLATES = {
+    'grid': { label: 'Grid', maxItems: 60 },
+    'hero-lineup': { label: 'Hero lineup', maxItems: 90 },
+    'rarest': { label: 'Rarest items', maxItems: 8, requiresCommunityData: true }
+};
+
+const SHOWCASE_WIDTH = 1200;
+const SHOWCASE_PADDING = 40;
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function loadCanvasImage(src) {
+    return new Promise(resolve => {
+        if (!src) return resolve(null);
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = src;
+        setTimeout(() => resolve(null), 8000);
+    });
+}
+
+// Draw an image scaled to fit a square cell, keeping its aspect ratio
+function drawImageContain(ctx, img, x, y, size) {
+    if (!img) {
+        ctx.fillStyle = '#1c212d';
+        ctx.fillRect(x, y, size, size);
+        return;
+    }
+    const scale = Math.min(size / img.width, size / img.height);
+    const w = img.width * scale;
+    const h = img.height * scale;
+    ctx.drawImage(img, x + (size - w) / 2, y + (size - h) / 2, w, h);
+}
+
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let trimmed = text;
+    while (trimmed.length > 1 && ctx.measureText(trimmed + '…').width > maxWidth) trimmed = trimmed.slice(0, -1);
+    return trimmed + '…';
+}
+
+function getShowcaseTitle() {
+    if (state.selectedHeroes.length === 1) {
+        const heroItem = (state.allItems['hero-wardrobe'] || []).find(item => item.heroId === state.selectedHeroes[0]);
+        if (heroItem) return `${heroItem.heroName} Skins`;
+    }
+    if (state.selectedTypes.length === 1) return `${TYPE_LABELS[state.selectedTypes[0]] || 'Item'} Collection`;
+    return document.querySelector('.header-title')?.textContent.trim() || 'My Vault';
+}
+
+function drawShowcaseHeader(ctx, title, subtitle) {
+    const { owned, total, pct } = getProgressStats();
+    ctx.fillStyle = '#ffcc00';
+    ctx.font = 'bold 44px Inter, sans-serif';
+    ctx.fillText(fitText(ctx, title.toUpperCase(), SHOWCASE_WIDTH - SHOWCASE_PADDING * 2), SHOWCASE_PADDING, 80);
+    ctx.fillStyle = '#a0a0a0';
+    ctx.font = '22px Inter, sans-serif';
+    ctx.fillText(subtitle, SHOWCASE_PADDING, 118);
+    if (state.hasUserData) {
+        const barWidth = SHOWCASE_WIDTH - SHOWCASE_PADDING * 2;
+        ctx.fillStyle = '#2d3748';
+        ctx.fillRect(SHOWCASE_PADDING, 138, barWidth, 12);
+        ctx.fillStyle = '#ffcc00';
+        ctx.fillRect(SHOWCASE_PADDING, 138, barWidth * (pct / 100), 12);
+        ctx.fillStyle = '#E5ECF5';
+        ctx.font = 'bold 20px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${owned}/${total} collected · ${pct}%`, SHOWCASE_WIDTH - SHOWCASE_PADDING, 118);
+        ctx.textAlign = 'left';
+    }
+    return 180;
+}
+
+function drawShowcaseFooter(ctx, height) {
+    ctx.fillStyle = '#a0a0a0';
+    ctx.font = '18px Inter, sans-serif';
+    ctx.fillText(`The Village Vault · ${new Date().toLocaleDateString()}`, SHOWCASE_PADDING, height - 24);
+}
+
+// Lay out cells in rows; returns the y coordinate below the last row
+function drawShowcaseCells(ctx, entries, startY, columns, captionFor) {
+    const gap = 12;
+    const cell = (SHOWCASE_WIDTH - SHOWCASE_PADDING * 2 - gap * (columns - 1)) / columns;
+    const captionHeight = captionFor ? 28 : 0;
+    entries.forEach((entry, i) => {
+        const x = SHOWCASE_PADDING + (i % columns) * (cell + gap);
+        const y = startY + Math.floor(i / columns) * (cell + captionHeight + gap);
+        ctx.fillStyle = '#161b25';
+        ctx.fillRect(x, y, cell, cell);
+        // Last cell of a truncated showcase
+        if (entry.moreCount) {
+            ctx.fillStyle = '#ffcc00';
+            ctx.font = `bold ${Math.round(cell / 5)}px Inter, sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.fillText(`+${entry.moreCount}`, x + cell / 2, y + cell / 2);
+            ctx.fillStyle = '#a0a0a0';
+            ctx.font = `${Math.round(cell / 9)}px Inter, sans-serif`;
+            ctx.fillText('more', x + cell / 2, y + cell / 2 + cell / 6);
+            ctx.textAlign = 'left';
+            return;
+        }
+        drawImageContain(ctx, entry.img, x + 4, y + 4, cell - 8);
+        if (captionFor) {
+            ctx.fillStyle = '#E5ECF5';
+            ctx.font = `${cell > 200 ? 18 : 13}px Inter, sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.fillText(fitText(ctx, captionFor(entry.item), cell), x + cell / 2, y + cell + 20);
+            ctx.textAlign = 'left';
+        }
+    });
+    const rows = Math.ceil(entries.length / columns);
+    return startY + rows * (cell + captionHeight + gap);
+}
+
+function measureShowcaseRows(count, columns, withCaptions) {
+    const gap = 12;
+    const cell = (SHOWCASE_WIDTH - SHOWCASE_PADDING * 2 - gap * (columns - 1)) / columns;
+    return Math.ceil(count / columns) * (cell + (withCaptions ? 28 : 0) + gap);
+}
+
+async function renderShowcaseCanvas(templateId, items) {
+    const template = SHOWCASE_TEMPLATES[templateId];
+    let selected = items;
+    if (templateId === 'rarest') {
+        selected = items
+            .filter(item => state.communityRarity[item.code])
+            .sort((a, b) => state.communityRarity[a.code].percentage - state.communityRarity[b.code].percentage);
+    }
+    // The rarest template is a top list by design; the others end with a
+    // "+N more" cell when the filtered items don't fit
+    let moreCount = 0;
+    if (selected.length > template.maxItems) {
+        moreCount = templateId === 'rarest' ? 0 : selected.length - template.maxItems + 1;
+        selected = selected.slice(0, moreCount ? template.maxItems - 1 : template.maxItems);
+    }
+    const images = await Promise.all(selected.map(item => loadCanvasImage(item.image)));
+    const entries = selected.map((item, i) => ({ item, img: images[i] }));
+
+    // Group rows for the hero lineup (hero skins by hero, everything else by type)
+    const groups = [];
+    if (templateId === 'hero-lineup') {
+        entries.forEach(entry => {
+            const label = entry.item.heroName || TYPE_LABELS[entry.item.type] || entry.item.category;
+            let group = groups.find(g => g.label === label);
+            if (!group) groups.push(group = { label, entries: [] });
+            group.entries.push(entry);
+        });
+        if (moreCount) groups[groups.length - 1].entries.push({ moreCount });
+    } else if (moreCount) {
+        entries.push({ moreCount });
+    }
+
+    const headerHeight = 180;
+    let contentHeight;
+    if (templateId === 'grid') contentHeight = measureShowcaseRows(entries.length, 8, true);
+    else if (templateId === 'rarest') contentHeight = measureShowcaseRows(entries.length, 4, true);
+    else contentHeight = groups.reduce((sum, g) => sum + 40 + measureShowcaseRows(g.entries.length, 10, false), 0);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = SHOWCASE_WIDTH;
+    canvas.height = headerHeight + contentHeight + 70;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#0e1117';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const profile = window.CacheManager?.listProfiles().find(p => p.id === state.activeProfile);
+    const subtitle = `${profile ? profile.name + ' · ' : ''}${template.label}`;
+    let y = drawShowcaseHeader(ctx, getShowcaseTitle(), subtitle);
+
+    if (templateId === 'grid') {
+        drawShowcaseCells(ctx, entries, y, 8, item => item.name);
+    } else if (templateId === 'rarest') {
+        drawShowcaseCells(ctx, entries, y, 4, item => `${item.name} · ${state.communityRarity[item.code].percentage}%`);
+    } else {
+        groups.forEach(group => {
+            ctx.fillStyle = '#ffcc00';
+            ctx.font = 'bold 22px Inter, sans-serif';
+            const shown = group.entries.filter(entry => !entry.moreCount).length;
+            ctx.fillText(`${group.label} (${shown})`, SHOWCASE_PADDING, y + 26);
+            y = drawShowcaseCells(ctx, group.entries, y + 40, 10, null);
+        });
+    }
+    drawShowcaseFooter(ctx, canvas.height);
+    return canvas;
+}
+
+function openShowcaseModal() {
+    const modal = getOrCreateModal('showcase-modal', 'Showcase Image');
+    const templateOptions = Object.entries(SHOWCASE_TEMPLATES).map(([id, t]) => {
+        const disabled = t.requiresCommunityData && !state.hasCommunityData;
+        return `<option value="${id}" ${disabled ? 'disabled' : ''}>${t.label}${disabled ? ' (needs community data)' : ''}</option>`;
+    }).join('');
+    modal.querySelector('.modal-body').innerHTML = `
+        <p class="modal-description">Creates a PNG "vault card" from the items currently shown in the grid.</p>
+        <div class="showcase-options">
+            <select id="showcase-template" class="sort-select">${templateOptions}</select>
+            <label class="filter-checkbox">
+                <input type="checkbox" id="showcase-owned-only" ${state.hasUserData ? 'checked' : 'disabled'}>
+                <span class="checkbox-custom"></span>
+                <span class="checkbox-label">Owned items only</span>
+            </label>
+        </div>
+        <div class="showcase-preview" id="showcase-preview"></div>
+        <div class="modal-actions">
+            <button id="showcase-generate-btn" class="btn btn-secondary" style="flex: 1;">Preview</button>
+            <button id="showcase-download-btn" class="btn btn-primary" style="flex: 1;">Download PNG</button>
+        </div>`;
+
+    const buildCanvas = async () => {
+        const templateId = document.getElementById('showcase-template').value;
+        const ownedOnly = document.getElementById('showcase-owned-only').checked;
+        const items = getFilteredItems().filter(item => !ownedOnly || item.owned);
+        if (!items.length) {
+            showToast("Nothing to Show", "No items match the current filters", "error");
+            return null;
+        }
+        return renderShowcaseCanvas(templateId, items);
+    };
+    modal.querySelector('#showcase-generate-btn').addEventListener('click', async () => {
+        const canvas = await buildCanvas();
+        if (!canvas) return;
+        const preview = document.getElementById('showcase-preview');
+        preview.innerHTML = '';
+        canvas.className = 'showcase-canvas';
+        preview.appendChild(canvas);
+    });
+    modal.querySelector('#showcase-download-btn').addEventListener('click', async () => {
+        const canvas = await buildCanvas();
+        if (!canvas) return;
+        canvas.toBlob(blob => {
+            if (blob) downloadBlob(blob, `village-vault-${generateSlug(getShowcaseTitle())}.png`);
+            else showToast("Error", "Could not create the image", "error");
+        }, 'image/png');
+    });
+    openModal('showcase-modal');
+}
+
+// ============================================
+// COLLECTION EXPORT (CSV / JSON)
+// ============================================
+const EXPORT_COLUMNS = ['code', 'name', 'type', 'hero', 'released', 'owned', 'communityPercentage'];
+
+// Normalized row shared by both formats; community percentage is null when unknown
+function toExportRecord(item) {
+    const rarity = state.communityRarity[item.code];
+    return {
+        code: item.code,
+        name: item.name,
+        type: item.type,
+        hero: item.heroName || null,
+        released: item.released,
+        owned: state.hasUserData ? !!item.owned : null,
+        communityPercentage: rarity ? rarity.percentage : null
+    };
+}
+
+function escapeCSVField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCSVExport(records) {
+    const lines = [EXPORT_COLUMNS.join(',')];
+    records.forEach(record => {
+        lines.push(EXPORT_COLUMNS.map(col => escapeCSVField(record[col])).join(','));
+    });
+    return lines.join('\r\n');
+}
+
+function buildJSONExport(records) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        category: state.activeCategory,
+        profile: state.hasUserData ? state.activeProfile : null,
+        itemCount: records.length,
+        items: records
+    }, null, 2);
+}
+
+function exportCollection(format) {
+    const records = getFilteredItems().map(toExportRecord);
+    if (!records.length) {
+        showToast("Nothing to Export", "No items match the current filters", "error");
+        return;
+    }
+    const filename = `village-vault-${state.activeCategory}-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'csv') {
+        // BOM so Excel opens UTF-8 item names correctly
+        downloadBlob(new Blob(['\ufeff' + buildCSVExport(records)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+    } else {
+        downloadBlob(new Blob([buildJSONExport(records)], { type: 'application/json' }), `${filename}.json`);
+    }
+    closeModal('export-modal');
+    showToast("Exported", `${records.length} items saved as ${format.toUpperCase()}`, "success");
+}
+
+function openExportModal() {
+    const modal = getOrCreateModal('export-modal', 'Export List');
+    const count = getFilteredItems().length;
+    modal.querySelector('.modal-body').innerHTML = `
+        <p class="modal-description">
+            Exports the <strong>${count}</strong> items currently shown, with ownership and community rarity.
+            Change the filters first to narrow the list.
+        </p>
+        <div class="modal-actions">
+            <button class="btn btn-secondary export-format-btn" data-format="csv" style="flex: 1;">Download CSV</button>
+            <button class="btn btn-primary export-format-btn" data-format="json" style="flex: 1;">Download JSON</button>
+        </div>`;
+    modal.querySelectorAll('.export-format-btn').forEach(btn => {
+        btn.addEventListener('click', () => exportCollection(btn.dataset.format));
+    });
+    openModal('export-modal');
+}
+
+// ============================================
+// COLLECTION COMPARE
+// ============================================
+const compareView = {
+    result: null,
+    activeTab: 'onlyA'
+};
+
+// Resolve one side of the comparison (a saved profile or a pasted export) to owned codes
+function getCompareSourceCodes(side) {
+    const select = document.getElementById(`compare-source-${side}`);
+    const textarea = document.getElementById(`compare-paste-${side}`);
+    const source = select ? select.value : '__paste__';
+
+    if (source === '__paste__') {
+        const text = (textarea?.value || '').trim();
+        if (!text) throw new Error(`Paste an export for collection ${side.toUpperCase()}`);
+        const { report } = diagnoseExport(window.ExportParser.cleanExportText(text));
+        if (!report.valid) throw new Error(`Collection ${side.toUpperCase()}: ${report.errors[0]}`);
+        return { label: report.playerTag || `Export ${side.toUpperCase()}`, codes: new Set(report.codes) };
+    }
+
+    const cacheResult = window.CacheManager.loadClanData(source);
+    if (cacheResult.status !== 'valid') throw new Error(cacheResult.message);
+    const profile = window.CacheManager.listProfiles().find(p => p.id === source);
+    return { label: profile ? profile.name : `#${source}`, codes: new Set(extractCodesFromJSON(cacheResult.data)) };
+}
+
+// Split catalog items into those only A owns, only B owns, and both own
+function compareCollections(codesA, codesB, items) {
+    const result = { onlyA: [], onlyB: [], both: [] };
+    items.forEach(item => {
+        const inA = codesA.has(item.code);
+        const inB = codesB.has(item.code);
+        if (inA && inB) result.both.push(item);
+        else if (inA) result.onlyA.push(item);
+        else if (inB) result.onlyB.push(item);
+    });
+    return result;
+}
+
+function openCompareModal() {
+    const profiles = window.CacheManager ? window.CacheManager.listProfiles() : [];
+    const sourceOptions = (selectedId) => [
+        ...profiles.map(p => `<option value="${escapeHTML(p.id)}" ${p.id === selectedId ? 'selected' : ''}>${escapeHTML(p.name)}</option>`),
+        `<option value="__paste__" ${!selectedId ? 'selected' : ''}>Paste an export…</option>`
+    ].join('');
+    const defaultA = state.activeProfile || profiles[0]?.id || null;
+    const defaultB = profiles.find(p => p.id !== defaultA)?.id || null;
+    const sourceHTML = (side, selectedId) => `
+        <div class="compare-source">
+            <label class="textarea-label" for="compare-source-${side}">Collection ${side.toUpperCase()}</label>
+            <select id="compare-source-${side}" class="sort-select compare-source-select">${sourceOptions(selectedId)}</select>
+            <textarea id="compare-paste-${side}" class="json-textarea compare-paste" placeholder="Paste export JSON..." style="display: ${selectedId ? 'none' : 'block'};"></textarea>
+        </div>`;
+
+    const modal = getOrCreateModal('compare-modal', 'Compare Collections');
+    modal.querySelector('.modal-body').innerHTML = `
+        <p class="modal-description">Pick two saved accounts or paste two exports. The current page filters (type, hero, rarity and search) apply to the results.</p>
+        <div class="compare-sources">${sourceHTML('a', defaultA)}${sourceHTML('b', defaultB)}</div>
+        <div class="modal-actions">
+            <button id="run-compare-btn" class="btn btn-primary" style="flex: 1;">Compare</button>
+        </div>
+        <div id="compare-results" class="compare-results"></div>`;
+    modal.querySelectorAll('.compare-source-select').forEach(select => {
+        select.addEventListener('change', () => {
+            const textarea = select.parentElement.querySelector('.compare-paste');
+            textarea.style.display = select.value === '__paste__' ? 'block' : 'none';
+        });
+    });
+    modal.querySelector('#run-compare-btn').addEventListener('click', runComparison);
+    compareView.result = null;
+    openModal('compare-modal');
+}
+
+function runComparison() {
+    try {
+        const a = getCompareSourceCodes('a');
+        const b = getCompareSourceCodes('b');
+        const items = (state.allItems[state.activeCategory] || []).filter(matchesCatalogFilters);
+        compareView.result = { ...compareCollections(a.codes, b.codes, items), labelA: a.label, labelB: b.label };
+        compareView.activeTab = 'onlyA';
+        renderCompareResults();
+    } catch (err) {
+        showToast("Compare Failed", err.message, "error");
+    }
+}
+
+function renderCompareResults() {
+    const container = document.getElementById('compare-results');
+    const result = compareView.result;
+    if (!container || !result) return;
+    const tabs = [
+        { id: 'onlyA', label: `Only ${escapeHTML(result.labelA)}` },
+        { id: 'onlyB', label: `Only ${escapeHTML(result.labelB)}` },
+        { id: 'both', label: 'Both own' }
+    ];
+    const items = sortItems([...result[compareView.activeTab]]);
+    container.innerHTML = `
+        <div class="compare-tabs">
+            ${tabs.map(tab => `<button class="filter-btn ${tab.id === compareView.activeTab ? 'active' : ''}" data-compare-tab="${tab.id}">${tab.label} (${result[tab.id].length})</button>`).join('')}
+        </div>
+        <div class="compare-grid">
+            ${items.length ? items.map(item => `
+                <div class="compare-item" data-code="${item.code}" title="${escapeHTML(item.name)}">
+                    <img src="${item.image}" alt="${escapeHTML(item.name)}" loading="lazy">
+                    <span>${escapeHTML(item.name)}</span>
+                </div>`).join('') : '<p class="no-items-subtitle">No items in this group.</p>'}
+        </div>`;
+    container.querySelectorAll('[data-compare-tab]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            compareView.activeTab = btn.dataset.compareTab;
+            renderCompareResults();
+        });
+    });
+    container.querySelectorAll('.compare-item').forEach(el => {
+        el.addEventListener('click', () => {
+            const item = items.find(i => i.code === el.dataset.code);
+            if (!item) return;
+            closeModal('compare-modal');
+            Router.navigateToItem(item);
+        });
+    });
+}
+
 function updateUI() {
-    renderItems();
+    if (state.viewMode === 'sets') renderSetsView();
+    else renderItems();
+    renderHeroDashboard();
+    Router.syncFilters();
     updateProgressTracker();
     const heroFilterGroup = document.getElementById('hero-filter-group');
     const mobileHeroFilterGroup = document.getElementById('mobile-hero-filter-group');
@@ -756,6 +2878,8 @@ function updateUI() {
     if (mobileHeroFilterGroup) mobileHeroFilterGroup.style.display = isHeroWardrobe ? 'block' : 'none';
     const analyticsBtn = document.getElementById('analytics-btn');
     if (analyticsBtn) analyticsBtn.style.display = state.hasUserData ? 'inline-flex' : 'none';
+    const deleteServerDataBtn = document.getElementById('delete-server-data-btn');
+    if (deleteServerDataBtn) deleteServerDataBtn.style.display = state.hasUserData ? 'block' : 'none';
 
     const welcomeBanner = document.getElementById('welcome-banner');
     if (welcomeBanner) welcomeBanner.style.display = state.hasUserData ? 'none' : 'block';
@@ -766,10 +2890,10 @@ function updateUI() {
 // ============================================
 async function syncUserDataToDatabase(playerTag) {
     try {
-        let clientId = playerTag ? playerTag.replace('#', '') : getOrCreateClientId();
-        if (!clientId) clientId = 'unknown_user_' + Date.now();
+        const clientId = getSyncClientId(playerTag);
         const validCodes = new Set();
         Object.values(state.allItems).forEach(list => list.forEach(item => validCodes.add(String(item.code))));
+        // Community stats only count what the game export reports, not manual overrides
         const ownedArray = Array.from(state.userOwnedCodes).filter(code => validCodes.has(code));
         const response = await fetch('/api/analyze', {
             method: 'POST',
@@ -779,26 +2903,100 @@ async function syncUserDataToDatabase(playerTag) {
         if (response.ok) {
             const data = await response.json();
             if (data.rarityData) {
-                state.communityRarity = data.rarityData;
-                state.hasCommunityData = true;
-                state.totalCollectors = data.totalUsers || 0;
-                // Save community data to localStorage for cross-page persistence
-                localStorage.setItem('communityRarityData', JSON.stringify(data.rarityData));
-                localStorage.setItem('totalCollectors', String(data.totalUsers || 0));
-                // Show rarity filter now that we have community data
-                const rarityFilterGroup = document.getElementById('rarity-filter-group');
-                const mobileRarityFilterGroup = document.getElementById('mobile-rarity-filter-group');
-                if (rarityFilterGroup) rarityFilterGroup.style.display = 'block';
-                if (mobileRarityFilterGroup) mobileRarityFilterGroup.style.display = 'block';
+                applyCommunityRarity(data.rarityData, data.totalUsers, data.tiers);
+                if (data.vaultScore) saveVaultScore(data.vaultScore);
+                if (data.clientSecret) saveClientSecret(clientId, data.clientSecret);
                 updateUI();
                 showToast("Community Stats", `Synced with ${data.totalUsers} collectors!`);
             }
+        } else if (response.status === 429 || response.status === 422) {
+            const data = await response.json().catch(() => ({}));
+            showToast("Community Stats", data.error || "Your collection could not be synced.", "error");
         }
     } catch (err) {
         console.error("Database Error:", err);
     }
 }
 
+// Store community rarity in state and localStorage (persists across pages) and show the rarity filter
+function applyCommunityRarity(rarityData, totalUsers, tiers = null) {
+    state.communityRarity = rarityData;
+    state.hasCommunityData = true;
+    state.totalCollectors = totalUsers || 0;
+    localStorage.setItem('communityRarityData', JSON.stringify(rarityData));
+    localStorage.setItem('totalCollectors', String(totalUsers || 0));
+    if (Array.isArray(tiers) && tiers.length) {
+        state.rarityTiers = tiers;
+        localStorage.setItem('rarityTiers', JSON.stringify(tiers));
+        renderRarityFilterUI();
+    }
+    const rarityFilterGroup = document.getElementById('rarity-filter-group');
+    const mobileRarityFilterGroup = document.getElementById('mobile-rarity-filter-group');
+    if (rarityFilterGroup) rarityFilterGroup.style.display = 'block';
+    if (mobileRarityFilterGroup) mobileRarityFilterGroup.style.display = 'block';
+    if (state.pendingRarity.length) {
+        const rarities = getRarityTiers().map(tier => tier.id);
+        state.selectedRarity = state.pendingRarity.filter(value => rarities.includes(value));
+        state.pendingRarity = [];
+        syncFilterControls();
+    }
+}
+
+// Public rarity table, so badges show up for visitors who haven't uploaded anything
+async function loadCommunityRarity() {
+    try {
+        const response = await fetch('/api/rarity');
+        if (!response.ok) return false;
+        const data = await response.json();
+        if (!data.rarityData || Object.keys(data.rarityData).length === 0) return false;
+        applyCommunityRarity(data.rarityData, data.totalUsers, data.tiers);
+        return true;
+    } catch (err) {
+        console.error("Community rarity error:", err);
+        return false;
+    }
+}
+
+// Vault rarity score of the active profile (the server ranks it on every upload)
+function getVaultScoreStorageKey() {
+    return getProfileStorageKey('vaultRarityScore');
+}
+
+function loadVaultScore() {
+    try {
+        state.vaultScore = JSON.parse(localStorage.getItem(getVaultScoreStorageKey()) || 'null');
+    } catch (err) {
+        state.vaultScore = null;
+    }
+}
+
+function saveVaultScore(vaultScore) {
+    state.vaultScore = vaultScore;
+    localStorage.setItem(getVaultScoreStorageKey(), JSON.stringify(vaultScore));
+}
+
+// Id the community stats are stored under. The server only keeps a salted hash of it.
+function getSyncClientId(playerTag) {
+    return playerTag ? playerTag.replace('#', '') : getOrCreateClientId();
+}
+
+// Secrets /api/analyze hands out on a client's first upload, by client id.
+// Only the browser holding one can delete that client's uploaded data.
+function getClientSecrets() {
+    try {
+        return JSON.parse(localStorage.getItem('village_vault_client_secrets') || '{}');
+    } catch (err) {
+        return {};
+    }
+}
+
+function saveClientSecret(clientId, secret) {
+    const secrets = getClientSecrets();
+    if (secret) secrets[clientId] = secret;
+    else delete secrets[clientId];
+    localStorage.setItem('village_vault_client_secrets', JSON.stringify(secrets));
+}
+
 function getOrCreateClientId() {
     let id = localStorage.getItem('village_vault_client_id');
     if (!id) {
@@ -814,52 +3012,209 @@ function getOrCreateClientId() {
 async function handleDataUpload() {
     const input = document.getElementById("json-input").value.trim();
     if (!input) { showToast("Error", "Please paste your JSON!", "error"); return; }
-    const result = parseUserData(input);
+    await finishImport(parseUserData(window.ExportParser.cleanExportText(input)));
+}
+
+async function finishImport(result) {
     if (result.success) {
         showToast("Success!", result.message);
         closeModal("upload-modal");
+        renderUploadDiagnostics(null);
         document.getElementById("clear-data-btn").style.display = "block";
         updateUI();
         await syncUserDataToDatabase(result.playerTag);
     } else {
-        showToast("Invalid JSON", result.message, "error");
+        renderUploadDiagnostics(result.report);
+        showToast("Invalid Export", result.message, "error");
     }
 }
 
-function handleDataClear() {
-    state.userOwnedCodes = new Set();
-    Object.keys(state.allItems).forEach(categoryId => {
-        state.allItems[categoryId] = state.allItems[categoryId].map(i => ({ ...i, owned: false }));
+// Live summary under the upload textarea: sections found, problems and unknown codes
+function renderUploadDiagnostics(report) {
+    const container = document.getElementById("upload-diagnostics");
+    const analyzeBtn = document.getElementById("analyze-btn");
+    if (analyzeBtn) analyzeBtn.disabled = !!report && !report.valid;
+    if (!container) return;
+    if (!report) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+    const sections = Object.values(report.sections).map(section => `
+        <li class="diagnostic-section ${section.found ? 'found' : 'missing'}">
+            ${section.found ? '✓' : '–'} ${section.label}${section.found ? `: ${section.count}` : ' not found'}
+        </li>`).join('');
+    const unknown = report.unknownCodes.slice(0, window.ExportParser.MAX_REPORTED_UNKNOWN);
+    const unknownMore = report.unknownCodes.length - unknown.length;
+    container.style.display = 'block';
+    container.className = `upload-diagnostics ${report.valid ? 'valid' : 'invalid'}`;
+    container.innerHTML = `
+        <div class="diagnostic-status">${report.valid ? `Ready to import ${report.codes.length} codes` : 'This export can\'t be imported'}</div>
+        ${sections ? `<ul class="diagnostic-sections">${sections}</ul>` : ''}
+        ${report.errors.map(msg => `<div class="diagnostic-message error">${escapeHTML(msg)}</div>`).join('')}
+        ${report.warnings.map(msg => `<div class="diagnostic-message warning">${escapeHTML(msg)}</div>`).join('')}
+        ${unknown.length ? `<div class="diagnostic-unknown">Unknown codes: ${unknown.join(', ')}${unknownMore > 0 ? ` and ${unknownMore} more` : ''}</div>` : ''}`;
+}
+
+// ============================================
+// FILE IMPORT & DRAG-AND-DROP
+// ============================================
+const IMPORT_FILE_EXTENSIONS = ['.json', '.txt'];
+const IMPORT_MAX_FILE_BYTES = 50 * 1024 * 1024;
+// Files above this size are parsed by import-worker.js instead of the main thread
+const IMPORT_WORKER_THRESHOLD_BYTES = 512 * 1024;
+
+function parseExportInWorker(text) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('/tracker/import-worker.js');
+        worker.onmessage = (event) => {
+            worker.terminate();
+            resolve(event.data);
+        };
+        worker.onerror = (err) => {
+            worker.terminate();
+            reject(err);
+        };
+        worker.postMessage({ text, knownCodes: Array.from(getKnownCodes()) });
     });
-    state.items = state.items.map(i => ({ ...i, owned: false }));
-    state.hasUserData = false;
-    state.hasCommunityData = false;
-    state.communityRarity = {};
-    state.totalCollectors = 0;
-    state.selectedRarity = [];
+}
+
+async function importExportFile(file) {
+    if (!file) return;
+    const name = file.name.toLowerCase();
+    if (!IMPORT_FILE_EXTENSIONS.some(ext => name.endsWith(ext))) {
+        showToast("Unsupported File", "Choose a .json or .txt export file", "error");
+        return;
+    }
+    if (file.size > IMPORT_MAX_FILE_BYTES) {
+        showToast("File Too Large", "Export files are usually well under 50 MB", "error");
+        return;
+    }
+    showToast("Importing", `Reading ${file.name}…`);
+    try {
+        const text = await file.text();
+        let result;
+        if (window.Worker && file.size > IMPORT_WORKER_THRESHOLD_BYTES) {
+            const { report, compact } = await parseExportInWorker(text);
+            checkExportTimestamp(report);
+            // Only the compacted export is kept, the full file can exceed the localStorage quota
+            result = importValidatedExport(compact, report, report.valid ? JSON.stringify(compact) : null);
+        } else {
+            result = parseUserData(window.ExportParser.cleanExportText(text));
+        }
+        if (!result.success) openModal("upload-modal");
+        await finishImport(result);
+    } catch (err) {
+        console.error("File import error:", err);
+        showToast("Error", "Could not read this file", "error");
+    }
+}
+
+function handleFileInputChange(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    importExportFile(file);
+}
+
+// Drop an export file anywhere on the grid area
+function setupGridDropZone() {
+    const grid = document.getElementById("items-grid");
+    const dropZone = grid ? grid.parentElement : null;
+    if (!dropZone || state.readOnly) return;
+    let dragDepth = 0;
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+    dropZone.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        dropZone.classList.add('import-drop-active');
+    });
+    dropZone.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    });
+    dropZone.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) dropZone.classList.remove('import-drop-active');
+    });
+    dropZone.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        dropZone.classList.remove('import-drop-active');
+        importExportFile(e.dataTransfer.files[0]);
+    });
+}
+
+const handleUploadInput = debounce(() => {
+    const input = document.getElementById("json-input").value.trim();
+    renderUploadDiagnostics(input ? diagnoseExport(window.ExportParser.cleanExportText(input)).report : null);
+}, 300);
+
+function handleDataClear() {
+    // An expired profile is still active in the index even though nothing of it is loaded
+    const clearedProfile = state.activeProfile || window.CacheManager?.getActiveProfileId();
+    resetOwnershipState();
 
-    // Use CacheManager to clear cached data
+    // Use CacheManager to clear cached data (only the active profile)
+    let clearResult = null;
     if (window.CacheManager) {
-        window.CacheManager.clearClanData();
+        clearResult = window.CacheManager.clearClanData(clearedProfile || undefined, { removeProfile: true });
     } else {
         // Fallback to legacy cleanup
         localStorage.removeItem('userCollectionData');
     }
 
-    // Clear community data (not managed by CacheManager)
-    localStorage.removeItem('communityRarityData');
-    localStorage.removeItem('totalCollectors');
+    // Other accounts are still saved: switch to the next one instead of resetting everything
+    if (clearResult && clearResult.activeProfile && loadAvailableProfile(clearResult.activeProfile)) {
+        renderProfileSwitcher();
+        updateUI();
+        showToast("Profile Removed", "Switched to your next saved account.");
+        return;
+    }
 
-    document.getElementById("clear-data-btn").style.display = "none";
-    // Hide rarity filter when no community data
-    const rarityFilterGroup = document.getElementById('rarity-filter-group');
-    const mobileRarityFilterGroup = document.getElementById('mobile-rarity-filter-group');
-    if (rarityFilterGroup) rarityFilterGroup.style.display = 'none';
-    if (mobileRarityFilterGroup) mobileRarityFilterGroup.style.display = 'none';
+    // Community rarity (and its filter) is public via /api/rarity, so it is kept.
+    // A remaining profile without a usable export can still be removed.
+    document.getElementById("clear-data-btn").style.display = clearResult?.activeProfile ? "block" : "none";
+    renderProfileSwitcher();
     updateUI();
     showToast("Cleared", "Your data has been reset.");
 }
 
+// Remove the active profile's upload from the community database (local data is kept)
+async function handleServerDataDelete() {
+    if (!window.confirm("Delete your uploaded collection from the community statistics, along with any vault links you shared? Your data on this device is kept.")) return;
+    const tag = state.activeProfile && state.activeProfile !== 'default' ? state.activeProfile : null;
+    const clientId = getSyncClientId(tag);
+    const clientSecret = getClientSecrets()[clientId];
+    if (!clientSecret) {
+        showToast("Error", "This browser has no delete key for this collection. Delete it from the browser that first uploaded it, or contact us to have it removed.", "error");
+        return;
+    }
+    try {
+        const response = await fetch('/api/delete-data', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ clientId, clientSecret })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showToast("Error", data.error || "Could not delete your data.", "error");
+            return;
+        }
+        // The next upload starts a new record with a new secret
+        saveClientSecret(clientId, null);
+        localStorage.removeItem(getVaultScoreStorageKey());
+        state.vaultScore = null;
+        updateUI();
+        showToast("Deleted", data.deleted ? "Your collection was removed from the community statistics." : "No uploaded data was found for this profile.");
+    } catch (err) {
+        console.error("Delete data error:", err);
+        showToast("Error", "Could not delete your data.", "error");
+    }
+}
+
 async function handlePasteFromClipboard() {
     const isMobile = navigator.userAgent.match(/Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i);
     const isSecureContext = location.protocol === 'https:' || location.hostname === 'localhost';
@@ -872,9 +3227,7 @@ async function handlePasteFromClipboard() {
             }
             let clipboardText = await navigator.clipboard.readText();
             if (!clipboardText.trim()) { showToast("Error", "Clipboard is empty!", "error"); return; }
-            let cleanedText = clipboardText.trim().replace(/[\u200B-\u200D\uFEFF]/g, '');
-            const jsonMatch = cleanedText.match(/(\{[\s\S]*\})|(\[[\s\S]*\])/);
-            if (jsonMatch) cleanedText = jsonMatch[0];
+            const cleanedText = window.ExportParser.cleanExportText(clipboardText);
             const result = parseUserData(cleanedText);
             if (result.success) {
                 showToast("Success!", result.message);
@@ -882,7 +3235,11 @@ async function handlePasteFromClipboard() {
                 updateUI();
                 await syncUserDataToDatabase(result.playerTag);
             } else {
-                showToast("Invalid JSON", result.message, "error");
+                // Show what was wrong with the pasted data in the upload modal
+                showToast("Invalid Export", result.message, "error");
+                const textarea = document.getElementById("json-input");
+                if (textarea) textarea.value = cleanedText;
+                renderUploadDiagnostics(result.report);
                 openModal("upload-modal");
             }
             return;
@@ -923,6 +3280,28 @@ function closeModal(modalId) {
     if (modal) modal.style.display = "none";
 }
 
+// Build a modal on first use (same markup as the static modals in the page HTML)
+function getOrCreateModal(modalId, title) {
+    let modal = document.getElementById(modalId);
+    if (modal) return modal;
+    modal = document.createElement('div');
+    modal.id = modalId;
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-overlay"></div>
+        <div class="modal-content tool-modal-content">
+            <div class="modal-header">
+                <h2 class="modal-title">${title}</h2>
+                <button class="modal-close-btn">&times;</button>
+            </div>
+            <div class="modal-body"></div>
+        </div>`;
+    modal.querySelector('.modal-overlay').addEventListener('click', () => closeModal(modalId));
+    modal.querySelector('.modal-close-btn').addEventListener('click', () => closeModal(modalId));
+    document.body.appendChild(modal);
+    return modal;
+}
+
 function showToast(title, message, type = "success") {
     const container = document.getElementById("toast-container");
     if (!container) return;
@@ -938,55 +3317,25 @@ function showToast(title, message, type = "success") {
 // ============================================
 async function initializePage(categoryId) {
     state.activeCategory = categoryId;
-    window.PAGE_CATEGORY = categoryId.replace('hero-wardrobe', 'wardrobe').replace('cosmetic-compendium', 'compendium').replace('home-village-decor', 'decorations');
+    window.PAGE_CATEGORY = categoryId.replace('hero-wardrobe', 'wardrobe').replace('cosmetic-compendium', 'compendium').replace('home-village-decor', 'decorations').replace('clan-hall-aesthetics', 'clan-capital');
 
     initImageObserver();
     await loadAllMasterData();
 
     state.items = state.allItems[categoryId] || [];
 
+    // Shared vault links render someone else's snapshot instead of the local profile
+    const urlData = Router.parseCurrentURL();
+    const isSharedView = urlData && urlData.view === 'shared' && await loadSharedCollection(urlData.id);
+
     // Load user collection data from localStorage with timestamp validation
     // Use CacheManager to ensure data is not older than 24 hours
-    if (window.CacheManager) {
-        const cacheResult = window.CacheManager.loadClanData();
-
-        if (cacheResult.status === 'valid') {
-            // Data is valid and not expired, load it
-            try {
-                const result = parseUserData(JSON.stringify(cacheResult.data));
-                if (result.success) {
-                    const clearBtn = document.getElementById("clear-data-btn");
-                    if (clearBtn) clearBtn.style.display = "block";
-
-                    // Show subtle notification about data age
-                    if (cacheResult.ageHours > 0) {
-                        console.log(`Loaded cached data (${cacheResult.ageHours} hours old)`);
-                    }
-                }
-            } catch (err) {
-                console.error("Error loading cached data:", err);
-            }
-        } else if (cacheResult.status === 'expired') {
-            // Data exists but is older than 24 hours
-            console.warn(cacheResult.message);
-
-            // Clear the expired data
-            window.CacheManager.clearClanData();
-
-            // Show user-friendly message that data is stale
-            showToast(
-                "Data Expired",
-                `Your cached data is ${cacheResult.ageHours} hours old. Please upload a fresh export.`,
-                "warning"
-            );
-        } else if (cacheResult.status === 'not_found') {
-            // No cached data, user needs to upload
-            console.log('No cached data found');
-        } else {
-            // Error occurred (corrupted data, invalid timestamp, etc.)
-            console.error('Cache load error:', cacheResult.message);
-            showToast("Cache Error", cacheResult.message, "error");
-        }
+    // Every page renders whichever profile is currently active
+    if (isSharedView) {
+        loadWishlist();
+    } else if (window.CacheManager) {
+        if (!loadAvailableProfile()) loadWishlist();
+        renderProfileSwitcher();
     } else {
         // Fallback to legacy localStorage loading if CacheManager not available
         console.warn('CacheManager not available, using legacy data loading');
@@ -1005,25 +3354,31 @@ async function initializePage(categoryId) {
         }
     }
 
-    // Load community rarity data from localStorage (persists across pages)
+    // Community rarity: render the last known table right away, then refresh it from /api/rarity
     const storedCommunityData = localStorage.getItem('communityRarityData');
     const storedTotalCollectors = localStorage.getItem('totalCollectors');
     if (storedCommunityData) {
         try {
-            state.communityRarity = JSON.parse(storedCommunityData);
-            state.hasCommunityData = true;
-            state.totalCollectors = parseInt(storedTotalCollectors) || 0;
-            // Show rarity filter if we have community data
-            const rarityFilterGroup = document.getElementById('rarity-filter-group');
-            const mobileRarityFilterGroup = document.getElementById('mobile-rarity-filter-group');
-            if (rarityFilterGroup) rarityFilterGroup.style.display = 'block';
-            if (mobileRarityFilterGroup) mobileRarityFilterGroup.style.display = 'block';
+            applyCommunityRarity(JSON.parse(storedCommunityData), parseInt(storedTotalCollectors) || 0,
+                JSON.parse(localStorage.getItem('rarityTiers') || 'null'));
         } catch (err) {
             console.error("Error loading stored community data:", err);
         }
     }
+    loadCommunityRarity().then(loaded => { if (loaded) updateUI(); });
+
+    // Shared wishlist links (?wishlist=...) restrict the grid to the shared items
+    const sharedWishlistParam = new URLSearchParams(window.location.search).get('wishlist');
+    if (sharedWishlistParam) {
+        state.sharedWishlist = decodeWishlist(sharedWishlistParam);
+        renderSharedWishlistBanner();
+    }
 
     updateTypeFilterUI(categoryId);
+    renderReleaseFilterUI();
+    renderRarityFilterUI();
+    renderMetadataFilters();
+    Router.restoreFilters();
     updateUI();
     Router.init();
 
@@ -1039,11 +3394,12 @@ function setupCommonEventListeners() {
     const searchInput = document.getElementById("search-input");
     if (searchInput) {
         const debouncedSearch = debounce(e => {
-            state.searchQuery = e.target.value;
+            applySearchQuery(e.target.value);
             state.visibleLimit = 50;
             updateUI();
         }, 300);
         searchInput.addEventListener("input", debouncedSearch);
+        setupSearchSuggestions(searchInput);
     }
 
     const sortSelect = document.getElementById("sort-select");
@@ -1051,13 +3407,17 @@ function setupCommonEventListeners() {
         sortSelect.addEventListener("change", e => { state.sortBy = e.target.value; updateUI(); });
     }
 
+    document.querySelectorAll('.view-toggle-btn').forEach(btn => {
+        btn.addEventListener('click', () => setViewMode(btn.dataset.view));
+    });
+
     attachTypeFilterListeners();
 
     const ownershipCheckboxes = document.querySelectorAll('.ownership-filter');
     ownershipCheckboxes.forEach(checkbox => {
         checkbox.addEventListener('change', e => {
             const ownership = e.target.value;
-            if (ownership !== 'all' && !state.hasUserData) {
+            if (ownership !== 'all' && ownership !== 'wishlist' && !state.hasUserData) {
                 e.target.checked = false;
                 showToast("No Data", "Please paste your JSON file first to use ownership filters", "error");
                 openModal("upload-modal");
@@ -1088,37 +3448,25 @@ function setupCommonEventListeners() {
         });
     });
 
-    // Rarity filter checkboxes (desktop)
-    const rarityFilterCheckboxes = document.querySelectorAll('.rarity-filter');
-    rarityFilterCheckboxes.forEach(checkbox => {
+    // Price filter checkboxes (desktop and mobile kept in sync)
+    document.querySelectorAll('.price-filter, .mobile-price-filter').forEach(checkbox => {
         checkbox.addEventListener('change', e => {
-            const rarity = e.target.value;
-            if (!state.hasCommunityData) {
-                e.target.checked = false;
-                showToast("No Community Data", "Community rarity data is not available yet", "error");
-                return;
-            }
-            filterByRarity(rarity);
-            // Sync with mobile
-            const mobileCheckbox = document.querySelector(`.mobile-rarity-filter[value="${rarity}"]`);
-            if (mobileCheckbox) mobileCheckbox.checked = checkbox.checked;
+            const price = e.target.value;
+            filterByPrice(price);
+            document.querySelectorAll(`.price-filter[value="${price}"], .mobile-price-filter[value="${price}"]`).forEach(cb => {
+                cb.checked = checkbox.checked;
+            });
         });
     });
 
-    // Rarity filter checkboxes (mobile)
-    const mobileRarityFilterCheckboxes = document.querySelectorAll('.mobile-rarity-filter');
-    mobileRarityFilterCheckboxes.forEach(checkbox => {
+    // Source filter checkboxes (desktop and mobile kept in sync)
+    document.querySelectorAll('.source-filter, .mobile-source-filter').forEach(checkbox => {
         checkbox.addEventListener('change', e => {
-            const rarity = e.target.value;
-            if (!state.hasCommunityData) {
-                e.target.checked = false;
-                showToast("No Community Data", "Community rarity data is not available yet", "error");
-                return;
-            }
-            filterByRarity(rarity);
-            // Sync with desktop
-            const desktopCheckbox = document.querySelector(`.rarity-filter[value="${rarity}"]`);
-            if (desktopCheckbox) desktopCheckbox.checked = checkbox.checked;
+            const source = e.target.value;
+            filterBySource(source);
+            document.querySelectorAll(`.source-filter[value="${source}"], .mobile-source-filter[value="${source}"]`).forEach(cb => {
+                cb.checked = checkbox.checked;
+            });
         });
     });
 
@@ -1131,11 +3479,54 @@ function setupCommonEventListeners() {
     const analyzeBtn = document.getElementById("analyze-btn");
     if (analyzeBtn) analyzeBtn.addEventListener("click", handleDataUpload);
 
+    const jsonInput = document.getElementById("json-input");
+    if (jsonInput) jsonInput.addEventListener("input", handleUploadInput);
+
+    const fileInput = document.getElementById("file-input");
+    if (fileInput) fileInput.addEventListener("change", handleFileInputChange);
+    setupGridDropZone();
+
     const analyticsBtn = document.getElementById("analytics-btn");
     if (analyticsBtn) analyticsBtn.addEventListener("click", openAnalyticsModal);
 
     const clearDataBtn = document.getElementById("clear-data-btn");
     if (clearDataBtn) clearDataBtn.addEventListener("click", handleDataClear);
+    const deleteServerDataBtn = document.getElementById("delete-server-data-btn");
+    if (deleteServerDataBtn) deleteServerDataBtn.addEventListener("click", handleServerDataDelete);
+
+    const profileSelect = document.getElementById("profile-select");
+    if (profileSelect) {
+        profileSelect.addEventListener("change", e => {
+            if (e.target.value === '__add__') {
+                // Restore the selection; a new export creates its own profile on upload
+                e.target.value = state.activeProfile || '';
+                openModal("upload-modal");
+                return;
+            }
+            switchProfile(e.target.value);
+        });
+    }
+
+    const profileRenameBtn = document.getElementById("profile-rename-btn");
+    if (profileRenameBtn) profileRenameBtn.addEventListener("click", handleProfileRename);
+
+    const compareBtn = document.getElementById("compare-btn");
+    if (compareBtn) compareBtn.addEventListener("click", openCompareModal);
+
+    const shareWishlistBtn = document.getElementById("share-wishlist-btn");
+    if (shareWishlistBtn) shareWishlistBtn.addEventListener("click", copyWishlistLink);
+
+    const shareVaultBtn = document.getElementById("share-vault-btn");
+    if (shareVaultBtn) shareVaultBtn.addEventListener("click", shareVault);
+
+    const showcaseBtn = document.getElementById("showcase-btn");
+    if (showcaseBtn) showcaseBtn.addEventListener("click", openShowcaseModal);
+
+    const exportBtn = document.getElementById("export-btn");
+    if (exportBtn) exportBtn.addEventListener("click", openExportModal);
+
+    const editOwnershipBtn = document.getElementById("edit-ownership-btn");
+    if (editOwnershipBtn) editOwnershipBtn.addEventListener("click", handleEditOwnershipToggle);
 
     document.querySelectorAll(".modal-close-btn").forEach(btn => {
         btn.addEventListener("click", () => {
@@ -1167,7 +3558,7 @@ function setupCommonEventListeners() {
     document.querySelectorAll('.btn-mobile-filter-ownership').forEach(btn => {
         btn.addEventListener('click', () => {
             const ownership = btn.dataset.ownership;
-            if (ownership !== 'all' && !state.hasUserData) {
+            if (ownership !== 'all' && ownership !== 'wishlist' && !state.hasUserData) {
                 showToast("No Data", "Please paste your JSON file first to use ownership filters", "error");
                 openModal("upload-modal");
                 return;
@@ -1185,13 +3576,14 @@ function setupCommonEventListeners() {
     const mobileSearchInput = document.getElementById("mobile-search-input");
     if (mobileSearchInput) {
         const debouncedMobileSearch = debounce(e => {
-            state.searchQuery = e.target.value;
+            applySearchQuery(e.target.value);
             state.visibleLimit = 50;
             const desktopSearch = document.getElementById("search-input");
             if (desktopSearch) desktopSearch.value = e.target.value;
             updateUI();
         }, 300);
         mobileSearchInput.addEventListener("input", debouncedMobileSearch);
+        setupSearchSuggestions(mobileSearchInput);
     }
 
     const mobileSortSelect = document.getElementById("mobile-sort-select");
@@ -7,6 +7,10 @@
 // The Clash of Clans JSON export contains a Unix timestamp (in seconds, UTC)
 // that represents when the export was generated. This module validates
 // that the cached data is no older than 24 hours (86,400 seconds).
+//
+// Each export is stored under a profile keyed by its player tag, so a user
+// can keep several accounts (mains and minis) cached side by side. Every
+// profile has its own data, timestamp and metadata entries.
 
 /**
  * Storage keys used by the cache manager
@@ -14,9 +18,16 @@
 const CACHE_KEYS = {
     CLAN_DATA: 'userCollectionData',
     TIMESTAMP: 'clanDataTimestamp',
-    METADATA: 'clanDataMetadata'
+    METADATA: 'clanDataMetadata',
+    PROFILES: 'collectionProfiles',
+    SNAPSHOTS: 'collectionSnapshots'
 };
 
+/**
+ * Profile used for exports that don't carry a player tag
+ */
+const DEFAULT_PROFILE_ID = 'default';
+
 /**
  * Constants for cache validation
  */
@@ -25,7 +36,10 @@ const CACHE_CONFIG = {
     EXPIRY_SECONDS: 86400,
 
     // 24 hours in milliseconds (for JavaScript Date calculations)
-    EXPIRY_MS: 86400000
+    EXPIRY_MS: 86400000,
+
+    // Maximum number of dated snapshots kept per profile (oldest are dropped)
+    MAX_SNAPSHOTS: 60
 };
 
 /**
@@ -124,13 +138,155 @@ function isDataExpired(timestamp) {
     };
 }
 
+/**
+ * Normalize a player tag into a profile id ("#abc123" -> "ABC123")
+ * @param {string|null} tag - Player tag from the export
+ * @returns {string} Profile id
+ */
+function normalizeProfileId(tag) {
+    if (!tag) return DEFAULT_PROFILE_ID;
+    const id = String(tag).replace(/#/g, '').trim().toUpperCase();
+    return id || DEFAULT_PROFILE_ID;
+}
+
+/**
+ * Build the storage key for a profile-scoped entry
+ * @param {string} baseKey - One of the CACHE_KEYS values
+ * @param {string} profileId - Profile id
+ * @returns {string} Storage key
+ */
+function getProfileKey(baseKey, profileId) {
+    return `${baseKey}:${profileId}`;
+}
+
+/**
+ * Read the profile index ({ activeProfile, profiles: { id: info } })
+ * @returns {{activeProfile: string|null, profiles: object}} Profile index
+ */
+function loadProfileIndex() {
+    try {
+        const raw = localStorage.getItem(CACHE_KEYS.PROFILES);
+        const index = raw ? JSON.parse(raw) : null;
+        if (index && typeof index.profiles === 'object') return index;
+    } catch (e) {
+        console.warn('Profile index is corrupted, resetting it:', e);
+    }
+    return { activeProfile: null, profiles: {} };
+}
+
+function saveProfileIndex(index) {
+    localStorage.setItem(CACHE_KEYS.PROFILES, JSON.stringify(index));
+}
+
+/**
+ * Move data saved by older versions (single CLAN_DATA slot) into a profile
+ *
+ * Runs once: afterwards the legacy keys are removed.
+ */
+function migrateLegacyData() {
+    const legacyData = localStorage.getItem(CACHE_KEYS.CLAN_DATA);
+    if (!legacyData) return;
+
+    try {
+        const parsed = JSON.parse(legacyData);
+        const profileId = normalizeProfileId(parsed.tag || (parsed.player && parsed.player.tag));
+        const timestamp = localStorage.getItem(CACHE_KEYS.TIMESTAMP) || parsed.timestamp;
+        const metadata = localStorage.getItem(CACHE_KEYS.METADATA);
+
+        localStorage.setItem(getProfileKey(CACHE_KEYS.CLAN_DATA, profileId), legacyData);
+        if (timestamp) localStorage.setItem(getProfileKey(CACHE_KEYS.TIMESTAMP, profileId), String(timestamp));
+        if (metadata) localStorage.setItem(getProfileKey(CACHE_KEYS.METADATA, profileId), metadata);
+
+        const index = loadProfileIndex();
+        index.profiles[profileId] = index.profiles[profileId] || {
+            id: profileId,
+            name: profileId === DEFAULT_PROFILE_ID ? 'My Village' : `#${profileId}`,
+            savedAt: Date.now(),
+            exportTimestamp: Number(timestamp) || null
+        };
+        if (!index.activeProfile) index.activeProfile = profileId;
+        saveProfileIndex(index);
+    } catch (e) {
+        console.warn('Legacy cached data could not be migrated:', e);
+    }
+
+    localStorage.removeItem(CACHE_KEYS.CLAN_DATA);
+    localStorage.removeItem(CACHE_KEYS.TIMESTAMP);
+    localStorage.removeItem(CACHE_KEYS.METADATA);
+}
+
+/**
+ * List all saved profiles, most recently saved first
+ * @returns {Array<{id: string, name: string, savedAt: number, exportTimestamp: number|null}>}
+ */
+function listProfiles() {
+    if (!isLocalStorageAvailable()) return [];
+    migrateLegacyData();
+    const index = loadProfileIndex();
+    return Object.values(index.profiles).sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+}
+
+/**
+ * Get the id of the profile the tracker should render
+ * @returns {string|null} Active profile id
+ */
+function getActiveProfileId() {
+    if (!isLocalStorageAvailable()) return null;
+    migrateLegacyData();
+    const index = loadProfileIndex();
+    if (index.activeProfile && index.profiles[index.activeProfile]) return index.activeProfile;
+    return Object.keys(index.profiles)[0] || null;
+}
+
+/**
+ * Select which profile is rendered by every tracker page
+ * @param {string} profileId - Profile id
+ * @returns {{success: boolean, message: string}} Result
+ */
+function setActiveProfile(profileId) {
+    if (!isLocalStorageAvailable()) {
+        return { success: false, message: 'localStorage is not available' };
+    }
+    const index = loadProfileIndex();
+    if (!index.profiles[profileId]) {
+        return { success: false, message: `Profile ${profileId} does not exist` };
+    }
+    index.activeProfile = profileId;
+    saveProfileIndex(index);
+    return { success: true, message: `Switched to ${index.profiles[profileId].name}` };
+}
+
+/**
+ * Give a profile a friendly display name (e.g. "Main" or "Mini 2")
+ * @param {string} profileId - Profile id
+ * @param {string} name - New display name
+ * @returns {{success: boolean, message: string}} Result
+ */
+function renameProfile(profileId, name) {
+    if (!isLocalStorageAvailable()) {
+        return { success: false, message: 'localStorage is not available' };
+    }
+    const index = loadProfileIndex();
+    const trimmed = String(name || '').trim();
+    if (!index.profiles[profileId] || !trimmed) {
+        return { success: false, message: 'Invalid profile or name' };
+    }
+    index.profiles[profileId].name = trimmed.slice(0, 40);
+    saveProfileIndex(index);
+    return { success: true, message: 'Profile renamed' };
+}
+
 /**
  * Save Clash of Clans JSON data to localStorage with timestamp
  * 
+ * The export is stored under the profile of its player tag (or `profileId`
+ * when given), and that profile becomes the active one.
+ *
  * @param {string|object} jsonData - The Clash of Clans JSON export (can be string or parsed object)
- * @returns {{success: boolean, message: string, timestamp?: number}} Save result
+ * @param {string} [profileId] - Profile to store the data under (defaults to the export's tag)
+ * @returns {{success: boolean, message: string, timestamp?: number, profileId?: string}} Save result
  */
-function saveClanData(jsonData) {
+function saveClanData(jsonData, profileId) {
     // Check if localStorage is available
     if (!isLocalStorageAvailable()) {
         return {
@@ -169,9 +325,14 @@ function saveClanData(jsonData) {
         // Convert to string for storage if needed
         const dataToStore = typeof jsonData === 'string' ? jsonData : JSON.stringify(parsedData);
 
+        migrateLegacyData();
+        const targetProfile = profileId
+            ? normalizeProfileId(profileId)
+            : normalizeProfileId(parsedData.tag || (parsedData.player && parsedData.player.tag));
+
         // Store the data and timestamp
-        localStorage.setItem(CACHE_KEYS.CLAN_DATA, dataToStore);
-        localStorage.setItem(CACHE_KEYS.TIMESTAMP, String(timestamp));
+        localStorage.setItem(getProfileKey(CACHE_KEYS.CLAN_DATA, targetProfile), dataToStore);
+        localStorage.setItem(getProfileKey(CACHE_KEYS.TIMESTAMP, targetProfile), String(timestamp));
 
         // Store metadata for debugging and information
         const metadata = {
@@ -179,12 +340,25 @@ function saveClanData(jsonData) {
             exportTimestamp: timestamp,
             exportDate: new Date(timestamp * 1000).toISOString()
         };
-        localStorage.setItem(CACHE_KEYS.METADATA, JSON.stringify(metadata));
+        localStorage.setItem(getProfileKey(CACHE_KEYS.METADATA, targetProfile), JSON.stringify(metadata));
+
+        // Register the profile and make it the active one
+        const index = loadProfileIndex();
+        const existing = index.profiles[targetProfile];
+        index.profiles[targetProfile] = {
+            id: targetProfile,
+            name: existing?.name || (targetProfile === DEFAULT_PROFILE_ID ? 'My Village' : `#${targetProfile}`),
+            savedAt: metadata.savedAt,
+            exportTimestamp: Number(timestamp)
+        };
+        index.activeProfile = targetProfile;
+        saveProfileIndex(index);
 
         return {
             success: true,
             message: 'Data cached successfully',
-            timestamp: Number(timestamp)
+            timestamp: Number(timestamp),
+            profileId: targetProfile
         };
 
     } catch (error) {
@@ -205,15 +379,17 @@ function saveClanData(jsonData) {
  * 3. Validates timestamp is present and valid
  * 4. Checks if data has expired (>24 hours old)
  * 
+ * @param {string} [profileId] - Profile to load (defaults to the active profile)
  * @returns {{
  *   status: 'valid'|'expired'|'not_found'|'error',
  *   data?: object,
  *   message: string,
  *   timestamp?: number,
- *   age?: number
+ *   age?: number,
+ *   profileId?: string
  * }} Load result with status and data
  */
-function loadClanData() {
+function loadClanData(profileId) {
     // Check if localStorage is available
     if (!isLocalStorageAvailable()) {
         return {
@@ -223,9 +399,18 @@ function loadClanData() {
     }
 
     try {
+        migrateLegacyData();
+        const targetProfile = profileId || getActiveProfileId();
+        if (!targetProfile) {
+            return {
+                status: 'not_found',
+                message: 'No cached data found. Please upload your Clash of Clans export.'
+            };
+        }
+
         // Check if data exists
-        const storedData = localStorage.getItem(CACHE_KEYS.CLAN_DATA);
-        const storedTimestamp = localStorage.getItem(CACHE_KEYS.TIMESTAMP);
+        const storedData = localStorage.getItem(getProfileKey(CACHE_KEYS.CLAN_DATA, targetProfile));
+        const storedTimestamp = localStorage.getItem(getProfileKey(CACHE_KEYS.TIMESTAMP, targetProfile));
 
         if (!storedData) {
             return {
@@ -240,7 +425,7 @@ function loadClanData() {
             parsedData = JSON.parse(storedData);
         } catch (parseError) {
             // Data is corrupted, clear it
-            clearClanData();
+            clearClanData(targetProfile);
             return {
                 status: 'error',
                 message: 'Cached data is corrupted. Please upload your export again.'
@@ -256,7 +441,7 @@ function loadClanData() {
         const timestampValidation = validateTimestamp(timestamp);
         if (!timestampValidation.valid) {
             // Invalid timestamp, clear corrupted data
-            clearClanData();
+            clearClanData(targetProfile);
             return {
                 status: 'error',
                 message: `Invalid timestamp in cached data: ${timestampValidation.error}. Please upload a fresh export.`
@@ -271,7 +456,8 @@ function loadClanData() {
                 status: 'expired',
                 message: `Your cached data is ${expiryCheck.ageHours} hours old. Please upload a fresh export (less than 24 hours old).`,
                 timestamp: Number(timestamp),
-                ageHours: expiryCheck.ageHours
+                ageHours: expiryCheck.ageHours,
+                profileId: targetProfile
             };
         }
 
@@ -281,7 +467,8 @@ function loadClanData() {
             message: `Loaded cached data (${expiryCheck.ageHours} hours old)`,
             data: parsedData,
             timestamp: Number(timestamp),
-            ageHours: expiryCheck.ageHours
+            ageHours: expiryCheck.ageHours,
+            profileId: targetProfile
         };
 
     } catch (error) {
@@ -294,10 +481,20 @@ function loadClanData() {
 }
 
 /**
- * Clear all cached Clash of Clans data from localStorage
- * @returns {{success: boolean, message: string}} Clear result
+ * Clear cached Clash of Clans data for one profile from localStorage
+ *
+ * By default only the cached export goes: an expired or unreadable export
+ * leaves the profile listed under its name, with its dated snapshots, so a
+ * fresh upload picks up where it left off. `removeProfile` is for the user
+ * deleting the account: the snapshots and the index entry go too, and if it
+ * was active the most recently saved remaining profile becomes active.
+ *
+ * @param {string} [profileId] - Profile to clear (defaults to the active profile)
+ * @param {object} [options]
+ * @param {boolean} [options.removeProfile=false] - Also delete the profile itself (user "clear data")
+ * @returns {{success: boolean, message: string, activeProfile?: string|null}} Clear result
  */
-function clearClanData() {
+function clearClanData(profileId, { removeProfile = false } = {}) {
     if (!isLocalStorageAvailable()) {
         return {
             success: false,
@@ -306,13 +503,28 @@ function clearClanData() {
     }
 
     try {
-        localStorage.removeItem(CACHE_KEYS.CLAN_DATA);
-        localStorage.removeItem(CACHE_KEYS.TIMESTAMP);
-        localStorage.removeItem(CACHE_KEYS.METADATA);
+        const targetProfile = profileId || getActiveProfileId();
+        if (targetProfile) {
+            localStorage.removeItem(getProfileKey(CACHE_KEYS.CLAN_DATA, targetProfile));
+            localStorage.removeItem(getProfileKey(CACHE_KEYS.TIMESTAMP, targetProfile));
+            localStorage.removeItem(getProfileKey(CACHE_KEYS.METADATA, targetProfile));
+            if (removeProfile) localStorage.removeItem(getProfileKey(CACHE_KEYS.SNAPSHOTS, targetProfile));
+        }
+
+        const index = loadProfileIndex();
+        if (removeProfile) {
+            delete index.profiles[targetProfile];
+            if (index.activeProfile === targetProfile || !index.profiles[index.activeProfile]) {
+                const remaining = Object.values(index.profiles).sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+                index.activeProfile = remaining.length ? remaining[0].id : null;
+            }
+            saveProfileIndex(index);
+        }
 
         return {
             success: true,
-            message: 'Cache cleared successfully'
+            message: 'Cache cleared successfully',
+            activeProfile: index.activeProfile
         };
     } catch (error) {
         console.error('Error clearing clan data:', error);
@@ -323,16 +535,77 @@ function clearClanData() {
     }
 }
 
+/**
+ * Record the owned codes of an accepted export as a dated snapshot
+ *
+ * Snapshots are keyed by the export timestamp, so importing the same export
+ * twice doesn't create a duplicate entry. Unlike the cached export they never
+ * expire; they build the collection's progress history.
+ *
+ * @param {string} profileId - Profile the export belongs to
+ * @param {number} timestamp - Export timestamp (Unix seconds)
+ * @param {string[]} codes - Owned item codes
+ * @returns {{success: boolean, message: string, count?: number}} Save result
+ */
+function saveSnapshot(profileId, timestamp, codes) {
+    if (!isLocalStorageAvailable()) {
+        return { success: false, message: 'localStorage is not available' };
+    }
+
+    const timestampValidation = validateTimestamp(timestamp);
+    if (!timestampValidation.valid) {
+        return { success: false, message: timestampValidation.error };
+    }
+
+    try {
+        const snapshots = getSnapshots(profileId)
+            .filter(snapshot => snapshot.timestamp !== Number(timestamp));
+        snapshots.push({ timestamp: Number(timestamp), codes: [...new Set(codes)] });
+        snapshots.sort((a, b) => a.timestamp - b.timestamp);
+        const trimmed = snapshots.slice(-CACHE_CONFIG.MAX_SNAPSHOTS);
+        localStorage.setItem(getProfileKey(CACHE_KEYS.SNAPSHOTS, profileId), JSON.stringify(trimmed));
+        return { success: true, message: 'Snapshot saved', count: trimmed.length };
+    } catch (error) {
+        console.error('Error saving snapshot:', error);
+        return { success: false, message: `Failed to save snapshot: ${error.message}` };
+    }
+}
+
+/**
+ * Get the snapshot history of a profile, oldest first
+ * @param {string} [profileId] - Profile to read (defaults to the active profile)
+ * @returns {Array<{timestamp: number, codes: string[]}>} Snapshots
+ */
+function getSnapshots(profileId) {
+    if (!isLocalStorageAvailable()) return [];
+    const targetProfile = profileId || getActiveProfileId();
+    if (!targetProfile) return [];
+
+    try {
+        const raw = localStorage.getItem(getProfileKey(CACHE_KEYS.SNAPSHOTS, targetProfile));
+        const snapshots = raw ? JSON.parse(raw) : [];
+        return Array.isArray(snapshots) ? snapshots : [];
+    } catch {
+        return [];
+    }
+}
+
 /**
  * Get cache metadata for debugging and information display
+ * @param {string} [profileId] - Profile to inspect (defaults to the active profile)
  * @returns {{exists: boolean, metadata?: object}} Cache metadata
  */
-function getCacheMetadata() {
+function getCacheMetadata(profileId) {
     if (!isLocalStorageAvailable()) {
         return { exists: false };
     }
 
-    const metadata = localStorage.getItem(CACHE_KEYS.METADATA);
+    const targetProfile = profileId || getActiveProfileId();
+    if (!targetProfile) {
+        return { exists: false };
+    }
+
+    const metadata = localStorage.getItem(getProfileKey(CACHE_KEYS.METADATA, targetProfile));
     if (!metadata) {
         return { exists: false };
     }
@@ -355,6 +628,13 @@ if (typeof module !== 'undefined' && module.exports) {
         loadClanData,
         clearClanData,
         getCacheMetadata,
+        saveSnapshot,
+        getSnapshots,
+        listProfiles,
+        getActiveProfileId,
+        setActiveProfile,
+        renameProfile,
+        normalizeProfileId,
         isDataExpired,
         validateTimestamp,
         CACHE_CONFIG
@@ -368,6 +648,13 @@ if (typeof window !== 'undefined') {
         loadClanData,
         clearClanData,
         getCacheMetadata,
+        saveSnapshot,
+        getSnapshots,
+        listProfiles,
+        getActiveProfileId,
+        setActiveProfile,
+        renameProfile,
+        normalizeProfileId,
         isDataExpired,
         validateTimestamp,
         CACHE_CONFIG
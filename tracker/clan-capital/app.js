@@ -0,0 +1,6 @@
+// Clan Capital Page
+// Initializes with clan hall aesthetics category
+
+document.addEventListener("DOMContentLoaded", async () => {
+    await initializePage('clan-hall-aesthetics');
+});
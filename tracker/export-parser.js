@@ -0,0 +1,189 @@
+// ============================================
+// EXPORT PARSER - Clash of Clans export validation
+// ============================================
+// The in-game data export is a JSON object with a player tag, a Unix
+// timestamp and one array per collection section. Decorations and
+// obstacles (Builder Base ones in decos2 / obstacles2) are listed as
+// { data, cnt } entries, hero skins, sceneries and Clan House parts as
+// plain code numbers:
+//
+//   { "tag": "#ABC123", "timestamp": 1718000000,
+//     "decos": [{ "data": 18000042, "cnt": 1 }], "skins": [52000012] }
+//
+// Only codes found in a recognised section are accepted, so unrelated
+// JSON pasted by mistake is rejected instead of "matching" random numbers.
+
+/**
+ * Known export sections.
+ * shape 'counted' = array of { data, cnt } objects, 'codes' = array of numbers
+ *
+ * Capital decorations are not tracked yet: their section key and item codes
+ * have not been confirmed against a real export, so there is no entry for
+ * them here or in clan-capital.json. Add both together once they have been.
+ */
+const EXPORT_SECTIONS = {
+    decos: { label: 'Decorations', shape: 'counted' },
+    obstacles: { label: 'Obstacles', shape: 'counted' },
+    decos2: { label: 'Builder Base Decorations', shape: 'counted' },
+    obstacles2: { label: 'Builder Base Obstacles', shape: 'counted' },
+    skins: { label: 'Hero Skins', shape: 'codes' },
+    sceneries: { label: 'Sceneries', shape: 'codes' },
+    house_parts: { label: 'Clan House Parts', shape: 'codes' }
+};
+
+/**
+ * Maximum number of unknown codes listed in a diagnostic report
+ */
+const MAX_REPORTED_UNKNOWN = 20;
+
+/**
+ * Strip zero-width characters and any text copied around the JSON
+ * @param {string} text - Raw pasted or uploaded text
+ * @returns {string} Text starting and ending with the outermost JSON braces
+ */
+function cleanExportText(text) {
+    let cleanedText = text.trim().replace(/[\u200B-\u200D\uFEFF]/g, '');
+    const jsonMatch = cleanedText.match(/(\{[\s\S]*\})|(\[[\s\S]*\])/);
+    if (jsonMatch) cleanedText = jsonMatch[0];
+    return cleanedText;
+}
+
+/**
+ * Read the code out of a single section entry
+ * @param {*} entry - Array element from an export section
+ * @param {string} shape - Section shape from EXPORT_SECTIONS
+ * @returns {string|null} The code, or null if the entry is malformed
+ */
+function readSectionEntry(entry, shape) {
+    if (shape === 'counted') {
+        if (entry && typeof entry === 'object' && Number.isInteger(entry.data)) return String(entry.data);
+        return null;
+    }
+    return Number.isInteger(entry) ? String(entry) : null;
+}
+
+/**
+ * Extract the codes of every recognised section, ignoring malformed entries
+ * @param {Object} parsed - Parsed export JSON
+ * @returns {Array<string>} Unique item codes
+ */
+function extractExportCodes(parsed) {
+    const codes = new Set();
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return [];
+    Object.entries(EXPORT_SECTIONS).forEach(([key, section]) => {
+        if (!Array.isArray(parsed[key])) return;
+        parsed[key].forEach(entry => {
+            const code = readSectionEntry(entry, section.shape);
+            if (code) codes.add(code);
+        });
+    });
+    return [...codes];
+}
+
+/**
+ * Keep only the fields the tracker uses (tag, timestamp and the known
+ * sections), so large exports stay small in localStorage
+ * @param {Object} parsed - Parsed export JSON
+ * @returns {Object} Trimmed export
+ */
+function compactExport(parsed) {
+    const compact = { tag: parsed.tag, timestamp: parsed.timestamp };
+    Object.keys(EXPORT_SECTIONS).forEach(key => {
+        if (Array.isArray(parsed[key])) compact[key] = parsed[key];
+    });
+    return compact;
+}
+
+/**
+ * Validate a parsed export and build a diagnostic report
+ * @param {Object} parsed - Parsed export JSON
+ * @param {Set<string>} [knownCodes] - Catalog codes, used to report unknown items
+ * @returns {Object} { valid, errors, warnings, sections, codes, unknownCodes, playerTag, timestamp }
+ */
+function validateExport(parsed, knownCodes = null) {
+    const report = {
+        valid: false,
+        errors: [],
+        warnings: [],
+        sections: {},
+        codes: [],
+        unknownCodes: [],
+        playerTag: null,
+        timestamp: null
+    };
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        report.errors.push('The data is not a Clash of Clans export (expected a JSON object).');
+        return report;
+    }
+
+    report.playerTag = typeof parsed.tag === 'string' ? parsed.tag : null;
+    const timestamp = Number(parsed.timestamp);
+    report.timestamp = parsed.timestamp != null && Number.isFinite(timestamp) ? timestamp : null;
+    if (!report.playerTag) report.warnings.push('No player tag found, the data will be saved to a default profile.');
+    if (!report.timestamp) report.errors.push('No export timestamp found. Copy the full export from the game.');
+
+    const codes = new Set();
+    Object.entries(EXPORT_SECTIONS).forEach(([key, section]) => {
+        const value = parsed[key];
+        if (value === undefined) {
+            report.sections[key] = { label: section.label, found: false, count: 0 };
+            return;
+        }
+        if (!Array.isArray(value)) {
+            report.sections[key] = { label: section.label, found: false, count: 0 };
+            report.errors.push(`"${key}" should be a list.`);
+            return;
+        }
+        let malformed = 0;
+        let count = 0;
+        value.forEach(entry => {
+            const code = readSectionEntry(entry, section.shape);
+            if (!code) { malformed++; return; }
+            count++;
+            codes.add(code);
+        });
+        report.sections[key] = { label: section.label, found: true, count };
+        if (malformed > 0) report.warnings.push(`${malformed} malformed ${section.label.toLowerCase()} entries were skipped.`);
+    });
+
+    if (!Object.values(report.sections).some(section => section.found)) {
+        report.errors.push(`None of the expected sections (${Object.keys(EXPORT_SECTIONS).join(', ')}) were found.`);
+    }
+
+    report.codes = [...codes];
+    if (knownCodes) {
+        report.unknownCodes = report.codes.filter(code => !knownCodes.has(code));
+        if (report.unknownCodes.length > 0) {
+            report.warnings.push(`${report.unknownCodes.length} codes are not in the catalog yet and won't be shown.`);
+        }
+    }
+
+    report.valid = report.errors.length === 0;
+    return report;
+}
+
+// Export functions for use in other modules
+// Using both module.exports (CommonJS) and window global (browser) for compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        validateExport,
+        extractExportCodes,
+        cleanExportText,
+        compactExport,
+        EXPORT_SECTIONS,
+        MAX_REPORTED_UNKNOWN
+    };
+}
+
+// Also expose to window for direct browser use
+if (typeof window !== 'undefined') {
+    window.ExportParser = {
+        validateExport,
+        extractExportCodes,
+        cleanExportText,
+        compactExport,
+        EXPORT_SECTIONS,
+        MAX_REPORTED_UNKNOWN
+    };
+}
@@ -0,0 +1,25 @@
+// ============================================
+// IMPORT WORKER - Parse large export files off the main thread
+// ============================================
+// Multi-megabyte exports can freeze mobile browsers while JSON.parse runs,
+// so file imports above a size threshold are validated here instead. The
+// worker runs the same export-parser.js code as the upload modal and only
+// sends back the report and the compacted export.
+
+importScripts('/tracker/export-parser.js');
+
+self.onmessage = (event) => {
+    const { text, knownCodes } = event.data;
+    let parsed;
+    try {
+        parsed = JSON.parse(cleanExportText(text));
+    } catch (err) {
+        self.postMessage({
+            report: { valid: false, errors: ['Invalid JSON. Check formatting.'], warnings: [], sections: {}, codes: [], unknownCodes: [] },
+            compact: null
+        });
+        return;
+    }
+    const report = validateExport(parsed, new Set(knownCodes));
+    self.postMessage({ report, compact: report.valid ? compactExport(parsed) : null });
+};
@@ -0,0 +1,139 @@
+// ============================================
+// QUERY PARSER - Search box query language
+// ============================================
+// Turns a search like
+//
+//   type:heroskin hero:"archer queen" owned:no rarity:<5% -ice
+//
+// into free text terms and field filters. Fields are listed in
+// QUERY_FIELDS; a leading "-" (or "!") negates a filter or a word, and
+// number fields accept <, <=, >, >= and = comparisons. Tokens with an
+// unknown field name are kept as plain text, so searching for an item
+// name containing a colon still works.
+
+/**
+ * Supported fields.
+ * kind 'text' = substring match, 'boolean' = yes/no, 'number' = comparison,
+ * 'percent' = comparison on a percentage, or one of the labels passed to
+ * parseQuery for that field (the rarity tiers come from the rarity API)
+ */
+const QUERY_FIELDS = {
+    type: { kind: 'text' },
+    hero: { kind: 'text' },
+    season: { kind: 'text' },
+    source: { kind: 'text' },
+    owned: { kind: 'boolean' },
+    year: { kind: 'number' },
+    rarity: { kind: 'percent' }
+};
+
+const BOOLEAN_VALUES = {
+    yes: true, true: true, y: true, '1': true,
+    no: false, false: false, n: false, '0': false
+};
+
+/**
+ * Split a query into tokens, keeping quoted phrases together
+ * @param {string} text - Raw search text
+ * @returns {Array<string>} Tokens with the quotes removed
+ */
+function tokenizeQuery(text) {
+    const tokens = [];
+    const pattern = /(\S*?)"([^"]*)"?|\S+/g;
+    let match;
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+        tokens.push(match[2] !== undefined ? match[1] + match[2] : match[0]);
+    }
+    return tokens.filter(token => token.length > 0);
+}
+
+/**
+ * Read a comparison such as "<5%", ">=2020" or "12"
+ * @param {string} value - Field value
+ * @returns {Object|null} { op, value } or null if it isn't a number
+ */
+function parseComparison(value) {
+    const match = /^(<=|>=|<|>|=)?(\d+(?:\.\d+)?)%?$/.exec(value);
+    if (!match) return null;
+    return { op: match[1] || '=', value: Number(match[2]) };
+}
+
+/**
+ * Parse a search query
+ * @param {string} text - Raw search text
+ * @param {Object} [fieldLabels] - Accepted labels per field, e.g. { rarity: ['legendary', ...] }
+ * @returns {Object} { terms: [{ value, negate }], filters: [{ field, op, value, negate }], errors }
+ */
+function parseQuery(text, fieldLabels = {}) {
+    const query = { terms: [], filters: [], errors: [] };
+    tokenizeQuery(text).forEach(token => {
+        const negate = /^[-!]./.test(token);
+        const body = negate ? token.slice(1) : token;
+        const fieldMatch = /^([a-z]+):(.*)$/i.exec(body);
+        const field = fieldMatch && fieldMatch[1].toLowerCase();
+        if (!fieldMatch || !QUERY_FIELDS[field]) {
+            query.terms.push({ value: body, negate });
+            return;
+        }
+        const rawValue = fieldMatch[2].trim();
+        const definition = QUERY_FIELDS[field];
+        if (!rawValue) {
+            query.errors.push(`"${field}:" needs a value.`);
+            return;
+        }
+        if (definition.kind === 'boolean') {
+            const value = BOOLEAN_VALUES[rawValue.toLowerCase()];
+            if (value === undefined) query.errors.push(`"${field}" should be yes or no.`);
+            else query.filters.push({ field, op: '=', value, negate });
+            return;
+        }
+        if (definition.kind === 'number' || definition.kind === 'percent') {
+            const comparison = parseComparison(rawValue);
+            const label = rawValue.toLowerCase().replace(/\s+/g, '-');
+            if (comparison) query.filters.push({ field, ...comparison, negate });
+            else if ((fieldLabels[field] || []).includes(label)) query.filters.push({ field, op: 'label', value: label, negate });
+            else query.errors.push(`"${rawValue}" is not a valid ${field}.`);
+            return;
+        }
+        query.filters.push({ field, op: '=', value: rawValue.toLowerCase(), negate });
+    });
+    return query;
+}
+
+/**
+ * Apply a parsed comparison
+ * @param {number} actual - Item value
+ * @param {string} op - One of <, <=, >, >=, =
+ * @param {number} expected - Query value
+ * @returns {boolean}
+ */
+function compareQueryNumber(actual, op, expected) {
+    switch (op) {
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        default: return actual === expected;
+    }
+}
+
+// Export functions for use in other modules
+// Using both module.exports (CommonJS) and window global (browser) for compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseQuery,
+        tokenizeQuery,
+        compareQueryNumber,
+        QUERY_FIELDS
+    };
+}
+
+// Also expose to window for direct browser use
+if (typeof window !== 'undefined') {
+    window.QueryParser = {
+        parseQuery,
+        tokenizeQuery,
+        compareQueryNumber,
+        QUERY_FIELDS
+    };
+}